@@ -8,5 +8,11 @@ module.exports = {
                 modules: false
             }
         ]
-    ]
+    ],
+    env: {
+        // Jest runs the source in Node, as CommonJS
+        test: {
+            presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+        }
+    }
 };
@@ -0,0 +1,18 @@
+module.exports = {
+    testEnvironment: 'jsdom',
+    roots: ['<rootDir>/test'],
+    setupFiles: ['<rootDir>/test/setup.js'],
+    moduleFileExtensions: ['js', 'vue'],
+    transform: {
+        '^.+\\.js$': 'babel-jest',
+        '^.+\\.vue$': '@vue/vue2-jest'
+    },
+    moduleNameMapper: {
+        '\\.(s?css)$': '<rootDir>/test/__mocks__/style.js'
+    },
+    globals: {
+        'vue-jest': {
+            experimentalCSSCompile: false
+        }
+    }
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+const routes = require('./routes.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Reads & parses the body of a request (JSON or form-urlencoded)
+ * @param {IncomingMessage} req Request
+ * @returns {Promise} Promise with the parsed body
+ */
+function parseBody(req) {
+    return new Promise((resolve) => {
+        let raw = '';
+
+        req.on('data', (chunk) => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            const type = req.headers['content-type'] || '';
+
+            try {
+                if (type.includes('application/json')) {
+                    resolve(raw ? JSON.parse(raw) : {});
+                } else if (type.includes('application/x-www-form-urlencoded')) {
+                    resolve(Object.fromEntries(new URLSearchParams(raw)));
+                } else {
+                    resolve({});
+                }
+            } catch (e) {
+                resolve({});
+            }
+        });
+    });
+}
+
+/**
+ * Reads the mock settings (scenario, latency & errorRate) from the query of the request,
+ * falling back to the query of the page that made the request (e.g. /?scenario=pending)
+ * @param {IncomingMessage} req Request
+ * @returns {Object} Settings
+ */
+function getSettings(req) {
+    const page = new URL(req.headers.referer || '/', 'http://localhost').searchParams;
+    const request = new URL(req.url, 'http://localhost').searchParams;
+    const get = (name) => request.get(name) ?? page.get(name);
+
+    return {
+        scenario: get('scenario'),
+        latency: get('latency') !== null ? Number(get('latency')) : undefined,
+        errorRate: get('errorRate') !== null ? Number(get('errorRate')) : undefined
+    };
+}
+
+/**
+ * Picks a latency, either fixed or random within a [min, max] range
+ * @param {number|Array} latency Latency in milliseconds
+ * @returns {number} Latency
+ */
+function getLatency(latency) {
+    if (Array.isArray(latency)) {
+        const [min, max] = latency;
+        return min + Math.round(Math.random() * (max - min));
+    }
+
+    return latency || 0;
+}
+
+/**
+ * Creates the Express handler of a route
+ * @param {string} key Route key ('METHOD /path')
+ * @param {Object} route Route definition (see routes.js)
+ * @param {Object} options Default latency & errorRate
+ * @returns {function} Request handler
+ */
+function createHandler(key, route, options) {
+    return async (req, res) => {
+        const settings = getSettings(req);
+        const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+        const body = await parseBody(req);
+        const params = { ...query, ...body };
+        const errorRate = settings.errorRate ?? route.errorRate ?? options.errorRate;
+
+        let response;
+        if (settings.scenario) {
+            response = route.scenarios?.[settings.scenario];
+
+            if (!response) {
+                response = {
+                    status: 400,
+                    json: { message: `Unknown scenario "${settings.scenario}" for ${key}` }
+                };
+            }
+        } else if (Math.random() < errorRate) {
+            response = { status: 500, json: { message: 'Random mock error' } };
+        } else {
+            try {
+                response = route.handler({ query, body, params, req });
+
+                if (!response || typeof response !== 'object') {
+                    throw new Error(`no response returned for ${key}`);
+                }
+            } catch (e) {
+                response = { status: 500, json: { message: `Mock handler failed: ${e.message}` } };
+            }
+        }
+
+        const latency = getLatency(
+            settings.latency ?? response.latency ?? route.latency ?? options.latency
+        );
+
+        setTimeout(() => {
+            if (response.network) {
+                req.socket.destroy();
+                return;
+            }
+
+            let json;
+            try {
+                json = response.fixture
+                    ? JSON.parse(fs.readFileSync(path.join(FIXTURES, response.fixture), 'utf8'))
+                    : response.json ?? {};
+            } catch (e) {
+                res.status(500).json({ message: `Mock fixture failed: ${e.message}` });
+                return;
+            }
+
+            res.status(response.status || 200).json(json);
+        }, latency);
+    };
+}
+
+/**
+ * Registers the mock API routes on the (Express) app of the development server,
+ * e.g. through devServer.setupMiddlewares. Unknown /api/ routes respond with a 404.
+ * @param {Express} app Express app
+ * @param {Object} options Options: latency (milliseconds or [min, max] range)
+ * & errorRate (share of requests that fail with a 500, between 0 & 1)
+ * @returns {void}
+ */
+function setupMockApi(app, options = {}) {
+    const defaults = { latency: [200, 600], errorRate: 0, ...options };
+
+    Object.entries(routes).forEach(([key, route]) => {
+        const [method, url] = key.split(' ');
+
+        app[method.toLowerCase()](url, createHandler(key, route, defaults));
+    });
+
+    app.all('/api/*', (req, res) => {
+        res.status(404).json({ message: `No mock for ${req.method} ${req.path}` });
+    });
+}
+
+module.exports = setupMockApi;
@@ -0,0 +1,38 @@
+/**
+ * Mock API routes for the development server, keyed by 'METHOD /path'.
+ *
+ * Every route responds through its handler (receiving the request's query, body & params,
+ * returning a response) or, when a scenario is requested, through that scenario.
+ * Responses have a status & either a fixture (file in ./fixtures) or json,
+ * 'network: true' to drop the connection, and an optional latency (milliseconds).
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+module.exports = {
+    'POST /api/newsletter-subscribe/': {
+        handler({ params }) {
+            if (params.resend) {
+                return { status: 200, fixture: 'newsletter-subscribe/resent.json' };
+            }
+
+            if (!EMAIL_REGEX.test(params.email || '')) {
+                return {
+                    status: 422,
+                    json: { errors: { email: ['Please enter a valid email address.'] } }
+                };
+            }
+
+            return { status: 200, fixture: 'newsletter-subscribe/success.json' };
+        },
+        scenarios: {
+            success: { status: 200, fixture: 'newsletter-subscribe/success.json' },
+            pending: { status: 202, fixture: 'newsletter-subscribe/pending.json' },
+            invalid: { status: 422, fixture: 'newsletter-subscribe/invalid.json' },
+            error: { status: 500, fixture: 'newsletter-subscribe/error.json' },
+            offline: { network: true },
+            // Longer than the timeout of the API client
+            timeout: { status: 200, fixture: 'newsletter-subscribe/success.json', latency: 15000 }
+        }
+    }
+};
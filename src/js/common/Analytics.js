@@ -0,0 +1,136 @@
+import { isInViewport } from '../helpers/dom.js';
+
+const MAX_BUFFER = 100;
+
+/**
+ * Events tracked by the components (data is passed along with the event)
+ */
+export const TRACKING_EVENTS = {
+    // { endDate }
+    countdownViewed: 'countdown_viewed',
+    // { endDate }
+    countdownFinished: 'countdown_finished',
+    // { }
+    newsletterSubmit: 'newsletter_submit',
+    // { status: 'success' or 'pending' }
+    newsletterSuccess: 'newsletter_success',
+    // { reason: 'invalid' or an API error type, queued }
+    newsletterFailure: 'newsletter_failure'
+};
+
+/**
+ * Pushes events to a GTM-style window.dataLayer, as { event, ...data }
+ */
+export const dataLayerAdapter = {
+    track(event, data) {
+        window.dataLayer = window.dataLayer || [];
+        window.dataLayer.push({ event, ...data });
+    }
+};
+
+/**
+ * Ignores all events (e.g. for tests)
+ */
+export const noopAdapter = {
+    track() {}
+};
+
+/**
+ * Tracks component interactions through an adapter (available as app.analytics).
+ * Events are buffered until tracking consent is given, either through setConsent()
+ * or by dispatching an 'analytics:consent' event with { granted } as detail.
+ * @category Common
+ */
+class Analytics {
+    buffer = [];
+
+    /**
+     * @param {Object} options Options: adapter (object with a track(event, data) method,
+     * defaults to the dataLayerAdapter) & consent (whether tracking is allowed from the start)
+     */
+    constructor(options = {}) {
+        this.adapter = options.adapter || dataLayerAdapter;
+        this.consent = !!options.consent;
+    }
+
+    /**
+     * Tracks an event, or buffers it until consent is given
+     * @param {string} event Event name
+     * @param {Object} data Event data
+     * @returns {void}
+     */
+    track(event, data = {}) {
+        if (!this.consent) {
+            // Keep the buffer from growing indefinitely while consent is never given
+            this.buffer = this.buffer.concat({ event, data }).slice(-MAX_BUFFER);
+            return;
+        }
+
+        this.adapter.track(event, data);
+    }
+
+    /**
+     * Grants or denies tracking consent.
+     * Buffered events are tracked once consent is granted & dropped when it's denied.
+     * @param {Boolean} granted Consent
+     * @returns {void}
+     */
+    setConsent(granted) {
+        const buffer = this.buffer;
+
+        this.consent = !!granted;
+        this.buffer = [];
+
+        if (this.consent) {
+            buffer.forEach(({ event, data }) => this.adapter.track(event, data));
+        }
+    }
+
+    /**
+     * Tracks an event once given element has been (partially) visible for a while
+     * @param {Node} $el DOM Element
+     * @param {string} event Event name
+     * @param {Object} data Event data
+     * @param {Object} options Options: threshold (visible part of the element, defaults to 0.5)
+     * & duration (time it has to stay visible in milliseconds, defaults to 1000)
+     * @returns {function} Function to stop tracking
+     */
+    trackImpression($el, event, data = {}, { threshold = 0.5, duration = 1000 } = {}) {
+        let timeout = null;
+
+        const isVisible = () =>
+            !document.hidden && $el.isConnected && isInViewport($el, true, threshold);
+
+        const check = () => {
+            if (!isVisible()) {
+                clearTimeout(timeout);
+                timeout = null;
+            } else if (!timeout) {
+                timeout = setTimeout(() => {
+                    timeout = null;
+
+                    if (isVisible()) {
+                        stop();
+                        this.track(event, data);
+                    }
+                }, duration);
+            }
+        };
+
+        const stop = () => {
+            clearTimeout(timeout);
+            window.removeEventListener('scroll', check);
+            window.removeEventListener('resize', check);
+            document.removeEventListener('visibilitychange', check);
+        };
+
+        window.addEventListener('scroll', check, { passive: true });
+        window.addEventListener('resize', check, { passive: true });
+        document.addEventListener('visibilitychange', check);
+        check();
+
+        return stop;
+    }
+}
+
+export default Analytics;
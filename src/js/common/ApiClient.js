@@ -0,0 +1,199 @@
+import axios from 'axios';
+
+import { getMetaContent } from '../helpers/dom.js';
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Types of normalized API errors
+ */
+export const ERROR_TYPES = {
+    network: 'network',
+    timeout: 'timeout',
+    cancel: 'cancel',
+    validation: 'validation',
+    client: 'client',
+    server: 'server'
+};
+
+/**
+ * Normalized error for failed API requests
+ * @extends Error
+ * @category Common
+ */
+export class ApiError extends Error {
+    /**
+     * @param {Error} error Original (axios) error
+     */
+    constructor(error) {
+        super(error?.message);
+
+        this.name = 'ApiError';
+        this.originalError = error;
+        this.response = error?.response;
+        this.status = error?.response?.status || null;
+        this.data = error?.response?.data ?? null;
+        this.type = ApiError.getType(error);
+        this.fieldErrors =
+            this.type === ERROR_TYPES.validation ? ApiError.getFieldErrors(this.data) : {};
+    }
+
+    /**
+     * Determines the error type of a failed request
+     * @param {Error} error Original (axios) error
+     * @returns {string} Error type (see ERROR_TYPES)
+     */
+    static getType(error) {
+        const status = error?.response?.status;
+
+        if (axios.isCancel(error)) {
+            return ERROR_TYPES.cancel;
+        }
+
+        if (!status) {
+            return error?.code === 'ECONNABORTED' ? ERROR_TYPES.timeout : ERROR_TYPES.network;
+        }
+
+        if (status === 422) {
+            return ERROR_TYPES.validation;
+        }
+
+        return status >= 500 ? ERROR_TYPES.server : ERROR_TYPES.client;
+    }
+
+    /**
+     * Maps field errors of a validation response to a single message per field.
+     * Supports both { errors: { field: 'message' } } & { errors: { field: ['message', ...] } }
+     * @param {Object} data Response data
+     * @returns {Object} Message per field
+     */
+    static getFieldErrors(data) {
+        const output = {};
+
+        Object.entries(data?.errors || {}).forEach(([field, messages]) => {
+            const message = Array.isArray(messages) ? messages[0] : messages;
+
+            if (message) {
+                output[field] = String(message);
+            }
+        });
+
+        return output;
+    }
+}
+
+/**
+ * Shared API client (wrapping axios), available as app.api
+ * Base URL & CSRF token are read from meta tags:
+ * <meta name="api-base-url" content="https://api.example.com"> (prepended to all request URLs)
+ * <meta name="csrf-token" content="..."> (header name through <meta name="csrf-header">)
+ * @category Common
+ */
+class ApiClient {
+    controllers = {};
+
+    /**
+     * @param {Object} options Options: baseURL, timeout, csrfToken & csrfHeader
+     * (defaults are read from the meta tags)
+     */
+    constructor(options = {}) {
+        const csrfToken = options.csrfToken ?? getMetaContent('csrf-token');
+        const csrfHeader = options.csrfHeader ?? getMetaContent('csrf-header') ?? 'X-CSRF-Token';
+
+        this.http = axios.create({
+            baseURL: options.baseURL ?? getMetaContent('api-base-url') ?? '',
+            timeout: options.timeout ?? DEFAULT_TIMEOUT,
+            headers: csrfToken ? { [csrfHeader]: csrfToken } : {}
+        });
+
+        this.http.interceptors.response.use(null, (error) =>
+            Promise.reject(error instanceof ApiError ? error : new ApiError(error))
+        );
+    }
+
+    /**
+     * Executes a request. Failed requests are rejected with an ApiError.
+     * Requests with an abortKey abort the pending request with the same key
+     * (e.g. for search-as-you-type).
+     * @param {Object} config Axios request config (with optional abortKey)
+     * @returns {Promise} Response Promise
+     */
+    request(config) {
+        const { abortKey, ...requestConfig } = config;
+
+        if (abortKey) {
+            this.abort(abortKey);
+
+            const controller = new AbortController();
+            this.controllers[abortKey] = controller;
+            requestConfig.signal = controller.signal;
+
+            return this.http.request(requestConfig).finally(() => {
+                if (this.controllers[abortKey] === controller) {
+                    delete this.controllers[abortKey];
+                }
+            });
+        }
+
+        return this.http.request(requestConfig);
+    }
+
+    get(url, config = {}) {
+        return this.request({ ...config, method: 'get', url });
+    }
+
+    post(url, data, config = {}) {
+        return this.request({ ...config, method: 'post', url, data });
+    }
+
+    put(url, data, config = {}) {
+        return this.request({ ...config, method: 'put', url, data });
+    }
+
+    patch(url, data, config = {}) {
+        return this.request({ ...config, method: 'patch', url, data });
+    }
+
+    delete(url, config = {}) {
+        return this.request({ ...config, method: 'delete', url });
+    }
+
+    /**
+     * Aborts the pending request with given key
+     * @param {string} abortKey Abort Key
+     * @returns {void}
+     */
+    abort(abortKey) {
+        if (this.controllers[abortKey]) {
+            this.controllers[abortKey].abort();
+            delete this.controllers[abortKey];
+        }
+    }
+
+    /**
+     * Registers a request interceptor
+     * @param {function} onFulfilled Receives & returns the request config
+     * @param {function} onRejected Error handler
+     * @returns {function} Function to remove the interceptor
+     */
+    addRequestInterceptor(onFulfilled, onRejected) {
+        const id = this.http.interceptors.request.use(onFulfilled, onRejected);
+
+        return () => this.http.interceptors.request.eject(id);
+    }
+
+    /**
+     * Registers a response interceptor.
+     * Errors are already normalized to an ApiError.
+     * @param {function} onFulfilled Receives & returns the response
+     * @param {function} onRejected Error handler
+     * @returns {function} Function to remove the interceptor
+     */
+    addResponseInterceptor(onFulfilled, onRejected) {
+        const id = this.http.interceptors.response.use(onFulfilled, onRejected);
+
+        return () => this.http.interceptors.response.eject(id);
+    }
+}
+
+export default ApiClient;
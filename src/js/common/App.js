@@ -1,8 +1,22 @@
 import Vue from 'vue';
+import Vuex from 'vuex';
 
 import Module from './Module.js';
-import { loadDynamicImport, initializeModule } from '../helpers/util.js';
-import { $map, domReadyPromise, parseVueProps } from '../helpers/dom.js';
+import Analytics from './Analytics.js';
+import ApiClient from './ApiClient.js';
+import EventBus, { EVENTS } from './EventBus.js';
+import { loadDynamicImport, loadResources, initializeModule } from '../helpers/util.js';
+import {
+    $map,
+    domReadyPromise,
+    getElement,
+    getSlotNodes,
+    hydrationPromise,
+    isElement,
+    nodesToVNodes,
+    parseJSONScript,
+    parseVueProps
+} from '../helpers/dom.js';
 
 /**
  * App Entry Point Class
@@ -10,6 +24,30 @@ import { $map, domReadyPromise, parseVueProps } from '../helpers/dom.js';
  * @category Common
  */
 class App extends Module {
+    components = [];
+    vueComponents = [];
+
+    // Elements that are (being) mounted, to never mount an element twice
+    mountedElements = new WeakSet();
+
+    // Cancels the hydration of placeholders that are waiting for it, per element
+    pendingHydrations = new Map();
+
+    // Placeholders of Vue Components that aren't mounted yet: components within them
+    // are only initialized once mounted, as Vue renders a copy of their content
+    pendingPlaceholders = new WeakSet();
+
+    // Copies of the placeholders of mounted Vue Components, to restore them once destroyed
+    placeholders = new WeakMap();
+
+    // Placeholders to restore when the root element of a destroyed Vue Component is re-inserted
+    detachedPlaceholders = new WeakMap();
+
+    // Subscribers to errors of (Vue) components, see onError()
+    errorHandlers = [];
+
+    events = new EventBus();
+
     async init(dependencies) {
         await this.initDependencies(dependencies);
         await this.onPageLoad();
@@ -17,71 +55,522 @@ class App extends Module {
 
     async initDependencies(dependencies) {
         this.dependencies = dependencies;
+        this.api = new ApiClient(dependencies.api);
+        this.analytics = new Analytics(dependencies.analytics);
+        this.on(EVENTS.analyticsConsent, (detail) => this.analytics.setConsent(detail?.granted));
         this.vue = Vue;
         Vue.prototype.$app = this;
+        Vue.config.errorHandler = (error, vm, info) =>
+            this.reportError(error, { $el: vm?.$root.$el, component: vm?.$options.name, info });
+        this.initStore(dependencies.storeModules);
+    }
+
+    /**
+     * Creates the Vuex store that's shared by all Vue components.
+     * Initial state is read from <script type="application/json" data-app-state>,
+     * keyed by module name.
+     * @param {Object} modules Store modules to register immediately
+     * @returns {void}
+     */
+    initStore(modules) {
+        Vue.use(Vuex);
+
+        this.initialState = parseJSONScript('script[data-app-state]') || {};
+        this.store = new Vuex.Store({
+            strict: process.env.NODE_ENV !== 'production'
+        });
+
+        Object.entries(modules || {}).forEach(([name, module]) => {
+            this.registerStoreModule(name, module);
+        });
+    }
+
+    /**
+     * Registers a store module (once), merging its state
+     * with the server-rendered initial state
+     * @param {string} name Module name
+     * @param {Object} module Vuex module
+     * @returns {void}
+     */
+    registerStoreModule(name, module) {
+        if (this.store.hasModule(name)) {
+            return;
+        }
+
+        const state = typeof module.state === 'function' ? module.state() : { ...module.state };
+
+        this.store.registerModule(name, {
+            ...module,
+            state: { ...state, ...this.initialState[name] }
+        });
+    }
+
+    /**
+     * Subscribes to errors of (Vue) components, e.g. for monitoring.
+     * Handlers receive the error & its context: { $el, component, info }
+     * where info is 'load' for failed imports or Vue's error info otherwise.
+     * @param {function} handler Error handler
+     * @returns {function} Function to unsubscribe
+     */
+    onError(handler) {
+        this.errorHandlers.push(handler);
+
+        return () => {
+            this.errorHandlers = this.errorHandlers.filter((item) => item !== handler);
+        };
+    }
+
+    /**
+     * Passes an error to the subscribed error handlers (logged if there are none)
+     * @param {Error} error Error
+     * @param {Object} context Error context
+     * @returns {void}
+     */
+    reportError(error, context = {}) {
+        if (this.errorHandlers.length === 0) {
+            console.error(error);
+        }
+
+        this.errorHandlers.forEach((handler) => handler(error, context));
+    }
+
+    /**
+     * Subscribes to an app event (see EventBus)
+     * @param {string} name Event name (e.g. 'newsletter:subscribed')
+     * @param {function} handler Handler, receives the payload & the CustomEvent
+     * @returns {function} Function to unsubscribe
+     */
+    on(name, handler) {
+        return this.events.on(name, handler);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an app event
+     * @param {string} name Event name
+     * @param {function} handler Handler, receives the payload & the CustomEvent
+     * @returns {function} Function to unsubscribe
+     */
+    once(name, handler) {
+        return this.events.once(name, handler);
+    }
+
+    /**
+     * Unsubscribes from an app event
+     * @param {string} name Event name
+     * @param {function} handler Handler (all handlers of the event if omitted)
+     * @returns {void}
+     */
+    off(name, handler) {
+        this.events.off(name, handler);
+    }
+
+    /**
+     * Emits an app event, also dispatched as CustomEvent on the document
+     * @param {string} name Event name
+     * @param {*} payload Payload
+     * @returns {void}
+     */
+    emit(name, payload) {
+        this.events.emit(name, payload);
     }
 
     async onPageLoad() {
         // Await DOM ready before rest of execution
         await domReadyPromise();
-        await this.initVueComponents(document.body);
+
+        // Mutation Observer first, to also mount components added while others are loading
+        if (this.dependencies.observe) {
+            this.observeComponents(document.body);
+        }
+
+        // Vue Components first, so components within their placeholders are skipped
+        await Promise.all([
+            this.initVueComponents(document.body),
+            this.initComponents(document.body)
+        ]);
     }
 
     /**
-     * Initializes Vue Components within given container
+     * Watches given container for added & removed DOM (e.g. AJAX-injected HTML)
+     * to automatically mount & destroy (Vue) components
      * @param {Node|string} container DOM Element (or selector)
-     * @returns {Promise} Load Promise
+     * @returns {void}
+     */
+    observeComponents(container) {
+        const $container = getElement(container);
+
+        if (!$container || this.observer) {
+            return;
+        }
+
+        this.observer = new MutationObserver((mutations) => {
+            const addedNodes = [];
+            const removedNodes = [];
+
+            mutations.forEach((mutation) => {
+                addedNodes.push(...mutation.addedNodes);
+                removedNodes.push(...mutation.removedNodes);
+            });
+
+            // Moved nodes are still connected, so only destroy what's actually gone
+            removedNodes
+                .filter((node) => isElement(node) && !node.isConnected)
+                .forEach((node) => this.destroyComponents(node));
+
+            addedNodes
+                .filter((node) => isElement(node) && node.isConnected)
+                .map((node) => this.restoreDetachedPlaceholder(node))
+                .forEach((node) => {
+                    this.initVueComponents(node, true);
+                    this.initComponents(node, true);
+                });
+        });
+
+        this.observer.observe($container, { childList: true, subtree: true });
+    }
+
+    /**
+     * Stops watching for added & removed DOM
+     * @returns {void}
+     */
+    disconnectComponents() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+
+    /**
+     * Destroys all (Vue) components within given container
+     * (e.g. before replacing its HTML)
+     * @param {Node|string} container DOM Element (or selector)
+     * @param {Boolean} includeSelf Also destroy components on the container itself
+     * @returns {void}
      */
-    initVueComponents(container) {
-        const promises = $map(container, '[data-vue-component]', ($el) => {
-            const { vueComponent, ...props } = $el.dataset;
+    destroyComponents(container, includeSelf = true) {
+        const $container = getElement(container);
 
-            return this.initVueComponent($el, vueComponent, props);
+        if (!$container) {
+            return;
+        }
+
+        const isWithin = ($el) =>
+            !!$el && $container.contains($el) && (includeSelf || $el !== $container);
+
+        // Stop waiting for placeholders that were never hydrated
+        this.pendingHydrations.forEach((controller, $el) => {
+            if (isWithin($el)) {
+                controller.abort();
+                this.pendingHydrations.delete($el);
+                this.pendingPlaceholders.delete($el);
+                this.mountedElements.delete($el);
+            }
         });
 
-        return Promise.all(promises).then((newComponents) => {
-            this.vueComponents = (this.vueComponents || []).concat(newComponents);
+        this.vueComponents = this.vueComponents.filter((vm) => {
+            if (isWithin(vm.$el)) {
+                vm.$destroy();
+                this.restorePlaceholder(vm);
+                return false;
+            }
+
+            return true;
         });
+
+        this.components = this.components.filter((component) => {
+            if (isWithin(component.$el)) {
+                if (typeof component.destroy === 'function') {
+                    component.destroy();
+                }
+
+                // Initialize the element again when it's re-inserted (e.g. modal content)
+                this.mountedElements.delete(component.$el);
+
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Initializes Vue Components within given container.
+     * Components with a data-hydrate strategy are loaded later on
+     * & don't delay the returned Promise.
+     * @param {Node|string} container DOM Element (or selector)
+     * @param {Boolean} includeSelf Also initialize the container itself, if it's a component
+     * @returns {Promise} Load Promise
+     */
+    initVueComponents(container, includeSelf) {
+        const promises = $map(
+            container,
+            '[data-vue-component]',
+            ($el) => {
+                if (this.isInPendingPlaceholder($el)) {
+                    return null;
+                }
+
+                const { vueComponent, hydrate, fallback, ...props } = $el.dataset;
+                const promise = this.initVueComponent($el, vueComponent, props, {
+                    hydrate,
+                    fallback
+                });
+
+                return hydrate ? null : promise;
+            },
+            includeSelf
+        );
+
+        return Promise.all(promises || []);
     }
 
     /**
-     * Initializes a single Vue Component
+     * Initializes a single Vue Component.
+     * Every component is its own error boundary: errors are reported (see onError)
+     * without affecting other components. Placeholders keep their server-rendered
+     * HTML when the component fails to load.
      * @param {Node} $el DOM Element
      * @param {string} vueComponent Vue Component ID
      * @param {Object} props Component properties
-     * @returns {void}
+     * @param {Object} options Options:
+     * hydrate: hydration strategy (visible, idle, interaction or media:(query)),
+     * fallback: restore the server-rendered HTML ('' or 'html') or hide the element ('hide')
+     * when the component breaks
+     * @returns {Promise} Load Promise
      */
-    initVueComponent($el, vueComponent, props) {
+    initVueComponent($el, vueComponent, props, { hydrate, fallback } = {}) {
+        if (this.mountedElements.has($el)) {
+            return Promise.resolve();
+        }
+
         if (vueComponent in (this.dependencies.vueComponents || {})) {
-            return loadDynamicImport(this.dependencies.vueComponents[vueComponent], (Component) => {
-                if (Component.props && props) {
-                    props = parseVueProps(Component.props, props);
-                }
+            this.mountedElements.add($el);
+            this.pendingPlaceholders.add($el);
 
-                return new Vue({
-                    el: $el,
-                    render: (h) => h(Component, { props })
-                });
-            });
+            const controller = new AbortController();
+            if (hydrate) {
+                this.pendingHydrations.set($el, controller);
+            }
+
+            const hydration = hydrationPromise($el, hydrate, controller.signal).then(() =>
+                this.pendingHydrations.delete($el)
+            );
+
+            return hydration.then(() =>
+                loadDynamicImport(
+                    this.getVueComponentInitiator(this.dependencies.vueComponents[vueComponent]),
+                    (Component) => {
+                        this.pendingPlaceholders.delete($el);
+
+                        // Element might have been removed while waiting for hydration
+                        if (!$el.isConnected) {
+                            return null;
+                        }
+
+                        if (Component.props) {
+                            props = parseVueProps(Component.props, props, $el);
+                        }
+
+                        // Server-rendered content is passed on as slots, as Vue replaces $el
+                        const slots = getSlotNodes($el);
+                        const $fallback = $el.cloneNode(true);
+                        const vm = new Vue({
+                            el: $el,
+                            store: this.store,
+                            errorCaptured: (error, component, info) => {
+                                this.reportError(error, {
+                                    $el: component.$root.$el,
+                                    component: vueComponent,
+                                    info
+                                });
+
+                                if (fallback !== undefined) {
+                                    Vue.nextTick(() =>
+                                        this.showFallback(component.$root, $fallback, fallback)
+                                    );
+                                }
+
+                                return false;
+                            },
+                            render: (h) =>
+                                h(Component, {
+                                    props,
+                                    scopedSlots: Object.fromEntries(
+                                        Object.entries(slots).map(([name, nodes]) => [
+                                            name,
+                                            () => nodesToVNodes(h, nodes)
+                                        ])
+                                    )
+                                })
+                        });
+                        this.vueComponents.push(vm);
+                        this.placeholders.set(vm, $fallback);
+                        this.initNestedComponents(vm.$el);
+
+                        return vm;
+                    },
+                    (error) => {
+                        this.pendingPlaceholders.delete($el);
+                        this.reportError(error, { $el, component: vueComponent, info: 'load' });
+
+                        if (fallback === 'hide') {
+                            $el.hidden = true;
+                        } else {
+                            // The server-rendered content stays
+                            this.initNestedComponents($el);
+                        }
+                    }
+                )
+            );
         }
 
         return Promise.resolve();
     }
 
     /**
-     * Initializes Vue Components within given container
+     * Resolves a Vue Component registration to something loadDynamicImport can load.
+     * Registrations can be a component, an import function, or an object with the component
+     * & its third-party dependencies (JS & CSS files, see loadResources),
+     * which are loaded alongside the component & before it's mounted.
+     * @param {Object|function} entry Registration (see src/vue/index.js)
+     * @returns {Object|function} Component or function returning a Promise for it
+     */
+    getVueComponentInitiator(entry) {
+        if (!entry || typeof entry !== 'object' || !('component' in entry)) {
+            return entry;
+        }
+
+        const { component, dependencies } = entry;
+
+        return () =>
+            Promise.all([
+                loadResources(dependencies),
+                typeof component === 'function' ? component() : component
+            ]).then(([, result]) => result);
+    }
+
+    /**
+     * Replaces a broken Vue Component by its server-rendered placeholder
+     * @param {Vue} vm Root Vue instance of the component
+     * @param {Node} $fallback Copy of the placeholder
+     * @param {string} fallback Fallback behavior: '' or 'html' to show the HTML, 'hide' to hide it
+     * @returns {void}
+     */
+    showFallback(vm, $fallback, fallback) {
+        if (vm._isDestroyed) {
+            return;
+        }
+
+        // Never mount the placeholder again (e.g. through the MutationObserver)
+        this.mountedElements.add($fallback);
+        $fallback.hidden = fallback === 'hide';
+
+        if (vm.$el.parentNode) {
+            vm.$el.parentNode.replaceChild($fallback, vm.$el);
+        }
+
+        this.destroyComponents(vm.$el, false);
+        this.vueComponents = this.vueComponents.filter((item) => item !== vm);
+        vm.$destroy();
+        this.initNestedComponents($fallback);
+    }
+
+    /**
+     * Puts the placeholder of a destroyed Vue Component back in place of its (detached) root
+     * element, so it's mounted again when re-inserted (e.g. modal or tab content).
+     * Root elements without parent are replaced once re-inserted, see observeComponents.
+     * @param {Vue} vm Destroyed root Vue instance
+     * @returns {void}
+     */
+    restorePlaceholder(vm) {
+        const $copy = this.placeholders.get(vm);
+
+        // Still in the page, e.g. destroyed before its HTML is replaced
+        if (!$copy || vm.$el.isConnected) {
+            return;
+        }
+
+        const $placeholder = $copy.cloneNode(true);
+
+        if (vm.$el.parentNode) {
+            vm.$el.parentNode.replaceChild($placeholder, vm.$el);
+        } else {
+            this.detachedPlaceholders.set(vm.$el, $placeholder);
+        }
+    }
+
+    /**
+     * Replaces a re-inserted root element of a destroyed Vue Component by its placeholder
+     * @param {Node} $el Inserted DOM Element
+     * @returns {Node} Placeholder, or the element itself
+     */
+    restoreDetachedPlaceholder($el) {
+        const $placeholder = this.detachedPlaceholders.get($el);
+
+        if (!$placeholder) {
+            return $el;
+        }
+
+        this.detachedPlaceholders.delete($el);
+        $el.parentNode.replaceChild($placeholder, $el);
+
+        return $placeholder;
+    }
+
+    /**
+     * Checks whether given element is within the placeholder of a Vue Component
+     * that isn't mounted yet
+     * @param {Node} $el DOM Element
+     * @returns {Boolean} Within pending placeholder
+     */
+    isInPendingPlaceholder($el) {
+        let $placeholder = $el.parentElement?.closest('[data-vue-component]');
+
+        while ($placeholder) {
+            if (this.pendingPlaceholders.has($placeholder)) {
+                return true;
+            }
+
+            $placeholder = $placeholder.parentElement?.closest('[data-vue-component]');
+        }
+
+        return false;
+    }
+
+    /**
+     * Initializes the (Vue) components within a mounted Vue Component or placeholder
+     * (e.g. server-rendered content passed on as slot)
+     * @param {Node} $container DOM Element
+     * @returns {Promise} Load Promise
+     */
+    initNestedComponents($container) {
+        return Promise.all([this.initVueComponents($container), this.initComponents($container)]);
+    }
+
+    /**
+     * Initializes Components (plain JS modules) within given container
      * @param {Node|string} container DOM Element (or selector)
+     * @param {Boolean} includeSelf Also initialize the container itself, if it's a component
      * @returns {Promise} Load Promise
      */
-    initComponents(container) {
-        const promises = $map(container, '[data-component]', ($el) => {
-            const { component } = $el.dataset;
+    initComponents(container, includeSelf) {
+        const promises = $map(
+            container,
+            '[data-component]',
+            ($el) => {
+                if (this.isInPendingPlaceholder($el)) {
+                    return null;
+                }
 
-            return this.initComponent(component, $el);
-        });
+                const { component } = $el.dataset;
+
+                return this.initComponent(component, $el);
+            },
+            includeSelf
+        );
 
-        return Promise.all(promises).then((newComponents) => {
-            this.components = (this.components || []).concat(newComponents);
+        return Promise.all(promises || []).then((newComponents) => {
+            this.components = this.components.concat(newComponents.filter(Boolean));
         });
     }
 
@@ -92,7 +581,13 @@ class App extends Module {
      * @returns {Promise} Load Promise
      */
     initComponent(component, $el) {
+        if (this.mountedElements.has($el)) {
+            return Promise.resolve();
+        }
+
         if (component in (this.dependencies.components || {})) {
+            this.mountedElements.add($el);
+
             return this.initModule(this.dependencies.components[component], $el, true);
         }
 
@@ -107,7 +602,9 @@ class App extends Module {
      * @returns {Promise} Load Promise
      */
     initModule(initiator, $el, init) {
-        return initializeModule(initiator, this, $el, init);
+        return initializeModule(initiator, this, $el, init, (error) =>
+            this.reportError(error, { $el, component: $el?.dataset.component, info: 'load' })
+        );
     }
 }
 
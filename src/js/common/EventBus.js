@@ -0,0 +1,115 @@
+/**
+ * Events emitted by the components (or page scripts), as 'namespace:event'
+ * (payloads are passed as the detail of the event)
+ */
+export const EVENTS = {
+    // { endDate } (date of the upcoming milestone, when using a schedule)
+    countdownStarted: 'countdown:started',
+    // { endDate } (date of the last milestone, when using a schedule)
+    countdownFinished: 'countdown:finished',
+    // { date, label }
+    countdownMilestone: 'countdown:milestone',
+    // { status: 'success' or 'pending' }
+    newsletterSubscribed: 'newsletter:subscribed',
+    // { type, status }
+    newsletterFailed: 'newsletter:failed',
+    // { granted }, e.g. dispatched by a consent management platform
+    analyticsConsent: 'analytics:consent'
+};
+
+/**
+ * Pub/sub for communication between components & page scripts (available as app.on, ...).
+ * Events are dispatched as CustomEvents on the target (document by default), so
+ * page scripts (e.g. a tag manager) can listen to & dispatch the same events:
+ * document.addEventListener('newsletter:subscribed', (event) => console.log(event.detail));
+ * @category Common
+ */
+class EventBus {
+    // Registered listeners per event name, to remove them through off()
+    listeners = {};
+
+    /**
+     * @param {EventTarget} target Target to dispatch the events on
+     */
+    constructor(target = document) {
+        this.target = target;
+    }
+
+    /**
+     * Subscribes to an event
+     * @param {string} name Event name
+     * @param {function} handler Handler, receives the payload & the CustomEvent
+     * @param {Object} options Event listener options (e.g. once)
+     * @returns {function} Function to unsubscribe
+     */
+    on(name, handler, options = {}) {
+        const entry = {
+            handler,
+            listener: (event) => {
+                if (options.once) {
+                    this.forget(name, [entry]);
+                }
+
+                handler(event.detail, event);
+            }
+        };
+
+        this.listeners[name] = (this.listeners[name] || []).concat(entry);
+        this.target.addEventListener(name, entry.listener, options);
+
+        return () => this.off(name, handler);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event
+     * @param {string} name Event name
+     * @param {function} handler Handler, receives the payload & the CustomEvent
+     * @returns {function} Function to unsubscribe
+     */
+    once(name, handler) {
+        return this.on(name, handler, { once: true });
+    }
+
+    /**
+     * Unsubscribes from an event
+     * @param {string} name Event name
+     * @param {function} handler Handler (all handlers of the event if omitted)
+     * @returns {void}
+     */
+    off(name, handler) {
+        const entries = (this.listeners[name] || []).filter(
+            (item) => !handler || item.handler === handler
+        );
+
+        entries.forEach(({ listener }) => this.target.removeEventListener(name, listener));
+        this.forget(name, entries);
+    }
+
+    /**
+     * Emits an event
+     * @param {string} name Event name
+     * @param {*} payload Payload
+     * @returns {void}
+     */
+    emit(name, payload) {
+        this.target.dispatchEvent(new CustomEvent(name, { detail: payload }));
+    }
+
+    /**
+     * Forgets registered listeners (without removing them from the target)
+     * @param {string} name Event name
+     * @param {Array} entries Registered listeners
+     * @returns {void}
+     */
+    forget(name, entries) {
+        this.listeners[name] = (this.listeners[name] || []).filter(
+            (item) => !entries.includes(item)
+        );
+
+        if (this.listeners[name].length === 0) {
+            delete this.listeners[name];
+        }
+    }
+}
+
+export default EventBus;
@@ -1,3 +1,5 @@
+import { getDataset } from '../helpers/dom.js';
+
 /**
  * Generic Module functionality
  * @category Common
@@ -5,7 +7,21 @@
 class Module {
     $cache = {};
     $elements = {};
+
+    /**
+     * Options, declared values are used as defaults & overridden
+     * by the data attributes of the element (e.g. data-speed="300")
+     */
+    options = {};
+
+    /**
+     * Watchers on store getters, e.g.
+     * { getter: 'cart/count', handler: 'onCartCountChange', immediate: true }
+     * Getters can also be functions ((state, getters) => value)
+     * & handlers can be functions or method names.
+     */
     storeWatchers = [];
+    storeUnwatchers = [];
 
     constructor(app, $el) {
         if (app) {
@@ -18,7 +34,55 @@ class Module {
     }
 
     init() {
+        this.initOptions();
         this.initCache();
+        this.initStoreWatchers();
+    }
+
+    destroy() {
+        this.destroyStoreWatchers();
+    }
+
+    initStoreWatchers() {
+        const store = this.app?.store;
+
+        if (!store) {
+            return;
+        }
+
+        this.storeUnwatchers = this.storeWatchers
+            .map(({ getter, handler, ...options }) => {
+                const getterFn =
+                    typeof getter === 'function'
+                        ? (state, getters) => getter.call(this, state, getters)
+                        : (state, getters) => getters[getter];
+                const handlerFn = typeof handler === 'function' ? handler : this[handler];
+
+                // Skip the watcher instead of breaking the whole module
+                if (typeof handlerFn !== 'function') {
+                    console.warn(
+                        `[${this.constructor.name}] store watcher handler "${handler}" is not a method`
+                    );
+                    return null;
+                }
+
+                return store.watch(getterFn, handlerFn.bind(this), options);
+            })
+            .filter(Boolean);
+    }
+
+    destroyStoreWatchers() {
+        this.storeUnwatchers.forEach((unwatch) => unwatch());
+        this.storeUnwatchers = [];
+    }
+
+    initOptions() {
+        if (this.$el) {
+            const options = getDataset(this.$el);
+            delete options.component;
+
+            this.options = { ...this.options, ...options };
+        }
     }
 
     initCache() {
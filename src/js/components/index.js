@@ -0,0 +1,6 @@
+/**
+ * Lazy registry of components (plain JS modules extending Module),
+ * initialized on elements with a matching data-component attribute, e.g.
+ * Accordion: () => import('./Accordion.js') for <div data-component="Accordion">
+ */
+export default {};
@@ -43,14 +43,20 @@ export function getElement(selector) {
  * @param {Node|string} container DOM Element (or selector) to search in
  * @param {string} selector Query Selector
  * @param {function} fn Function to execute
+ * @param {Boolean} includeSelf Also map the container itself, if it matches
  * @returns {Array} Result Array
  */
-export function $map(container, selector, fn) {
+export function $map(container, selector, fn, includeSelf = false) {
     const $container = getElement(container);
 
     if ($container) {
-        const nodes = $container.querySelectorAll(selector);
-        return Array.prototype.map.call(nodes, fn);
+        const nodes = Array.from($container.querySelectorAll(selector));
+
+        if (includeSelf && isElement($container) && $container.matches?.(selector)) {
+            nodes.unshift($container);
+        }
+
+        return nodes.map(fn);
     }
 
     return null;
@@ -400,34 +406,238 @@ export function getDataset(obj, prefix) {
     return output;
 }
 
-export function parseVueProps(propDefs, props) {
-    const filteredProps = Object.entries(propDefs)
-        .map(([key, propDef]) => {
-            if (!props?.[key]) {
-                return null;
+/**
+ * Normalizes a Vue prop definition to an object with a list of types
+ * (supports `String`, `[String, Number]`, `{ type, default, validator, required }` & `null`)
+ * @param {*} propDef Prop definition
+ * @returns {Object} Normalized definition with types (empty for any type)
+ */
+function normalizePropDef(propDef) {
+    if (typeof propDef === 'function') {
+        return { types: [propDef] };
+    }
+
+    if (Array.isArray(propDef)) {
+        return { types: propDef };
+    }
+
+    if (propDef && typeof propDef === 'object') {
+        const { type } = propDef;
+        const types = Array.isArray(type) ? type : [type];
+
+        return { ...propDef, types: types.filter((item) => typeof item === 'function') };
+    }
+
+    return { types: [] };
+}
+
+/**
+ * Reads props passed as JSON script children of a mount element.
+ * All props: <script type="application/json" data-props>{"items": [...]}</script>
+ * Single prop: <script type="application/json" data-prop="items">[...]</script>
+ * @param {Node} $el Mount element
+ * @returns {Object} Props (camelCase keys)
+ */
+export function getScriptProps($el) {
+    const output = {};
+
+    if (!isElement($el)) {
+        return output;
+    }
+
+    Array.from($el.children)
+        .filter(($child) => $child.matches('script[type="application/json"]'))
+        .forEach(($script) => {
+            const { prop } = $script.dataset;
+
+            if (prop) {
+                const value = parseJSONScript($script);
+
+                if (value !== null) {
+                    output[kebabToCamelCase(prop)] = value;
+                }
+            } else if ('props' in $script.dataset) {
+                const value = parseJSONScript($script);
+
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    Object.entries(value).forEach(([key, item]) => {
+                        output[kebabToCamelCase(key)] = item;
+                    });
+                }
             }
+        });
 
-            let prop = props[key];
-            let requestedTypes;
-            if (typeof propDef === 'function') {
-                requestedTypes = [propDef];
-            } else if (Array.isArray(propDef) && typeof propDef?.[0] === 'function') {
-                requestedTypes = propDef;
-            } else if (typeof propDef === 'object' && propDef?.type) {
-                requestedTypes = [propDef.type];
+    return output;
+}
+
+/**
+ * Converts data attribute values to Vue props, following Vue's prop definitions.
+ * Values are coerced to the defined type(s), where Boolean props are also set by the
+ * presence of an attribute (data-compact or data-compact="compact").
+ * Values that can't be coerced or don't pass the validator are left out with a warning,
+ * so Vue falls back to the default value.
+ * JSON script children of the element are used for larger props (see getScriptProps).
+ * @param {Object|Array} propDefs Vue prop definitions (or array of prop names)
+ * @param {Object} props Data attribute values (camelCase keys, e.g. from the dataset)
+ * @param {Node} $el Mount element (for JSON script props & warnings)
+ * @returns {Object} Props
+ */
+export function parseVueProps(propDefs, props = {}, $el = null) {
+    const definitions = Array.isArray(propDefs)
+        ? Object.fromEntries(propDefs.map((key) => [key, null]))
+        : propDefs || {};
+    const scriptProps = getScriptProps($el);
+    const output = {};
+
+    const warn = (key, message) => {
+        const path = $el ? `${getElementPath($el)} ` : '';
+        console.warn(`[parseVueProps] ${path}[data-${camelToKebabCase(key)}]: ${message}`);
+    };
+
+    Object.entries(definitions).forEach(([key, propDef]) => {
+        const { types, validator, required } = normalizePropDef(propDef);
+        let value = key in scriptProps ? scriptProps[key] : props?.[key];
+
+        if (value === undefined) {
+            if (required) {
+                warn(key, 'missing required prop');
             }
+            return;
+        }
 
-            prop = convertString(prop, requestedTypes);
+        // Strings are coerced, so JSON script props can also contain e.g. dates
+        if (typeof value === 'string' && types.length > 0) {
+            const string = value;
+            // Like Vue, the prop name only sets a Boolean when that's preferred over a String
+            const booleanIndex = types.indexOf(Boolean);
+            const stringIndex = types.indexOf(String);
+            const isPresence =
+                booleanIndex >= 0 &&
+                (stringIndex < 0 || booleanIndex < stringIndex) &&
+                string === camelToKebabCase(key);
+
+            value = isPresence ? true : convertString(string, types);
+
+            if (value === undefined) {
+                const typeNames = types.map((type) => type.name).join(' or ');
+                warn(key, `"${string}" is not a valid ${typeNames}`);
+                return;
+            }
+        }
 
-            return [key, prop];
-        })
-        .filter(Boolean);
+        if (typeof validator === 'function' && !validator(value)) {
+            warn(key, `${JSON.stringify(value)} didn't pass the validator, using the default`);
+            return;
+        }
 
-    const output = Object.fromEntries(filteredProps);
+        output[key] = value;
+    });
+
+    return output;
+}
+
+/**
+ * Collects the server-rendered content of a mount element as slots:
+ * <template data-slot="name"> children become named slots, all other
+ * content (except JSON script props) becomes the default slot.
+ * Slots that only contain whitespace are left out, so fallback content is used.
+ * @param {Node} $el Mount element
+ * @returns {Object} DOM Nodes per slot name
+ */
+export function getSlotNodes($el) {
+    const output = {};
+    const hasContent = (nodes) =>
+        nodes.some((node) => node.nodeType === Node.ELEMENT_NODE || node.textContent.trim());
+
+    if (!isElement($el)) {
+        return output;
+    }
+
+    const defaultNodes = Array.from($el.childNodes).filter((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node.matches('template[data-slot]')) {
+                const nodes = Array.from(node.content.childNodes);
+
+                if (hasContent(nodes)) {
+                    output[node.dataset.slot || 'default'] = nodes;
+                }
+
+                return false;
+            }
+
+            return !node.matches('script[type="application/json"]');
+        }
+
+        return node.nodeType === Node.TEXT_NODE;
+    });
+
+    if (!output.default && hasContent(defaultNodes)) {
+        output.default = defaultNodes;
+    }
 
     return output;
 }
 
+/**
+ * Converts DOM Nodes to Vue VNodes (e.g. to render server-rendered content in a slot).
+ * Comments & scripts are left out.
+ * @param {function} h Vue createElement function
+ * @param {Array} nodes DOM Nodes
+ * @returns {Array} VNodes (& strings for text)
+ */
+export function nodesToVNodes(h, nodes) {
+    return Array.from(nodes)
+        .map((node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return node.textContent;
+            }
+
+            if (node.nodeType !== Node.ELEMENT_NODE || node.tagName === 'SCRIPT') {
+                return null;
+            }
+
+            const attrs = Object.fromEntries(
+                Array.from(node.attributes).map(({ name, value }) => [name, value])
+            );
+            const children =
+                node.tagName === 'TEMPLATE' ? node.content.childNodes : node.childNodes;
+
+            return h(node.localName, { attrs }, nodesToVNodes(h, children));
+        })
+        .filter((vnode) => vnode !== null);
+}
+
+/**
+ * Describes the position of an element in the DOM, for use in warnings
+ * (e.g. body > main#content > div.countdown)
+ * @param {Node} $el DOM Element
+ * @returns {string} Element path
+ */
+export function getElementPath($el) {
+    const parts = [];
+    let $current = $el;
+
+    while (isElement($current) && $current !== document.documentElement) {
+        let part = $current.tagName.toLowerCase();
+
+        if ($current.id) {
+            part += `#${$current.id}`;
+        } else if ($current.classList?.length) {
+            part += `.${Array.from($current.classList).join('.')}`;
+        }
+
+        parts.unshift(part);
+
+        if ($current.id) {
+            break;
+        }
+
+        $current = $current.parentElement;
+    }
+
+    return parts.join(' > ');
+}
+
 /**
  * Converts Camel Case String to kebab case
  * (e.g. camelCase to camel-case)
@@ -440,3 +650,198 @@ export function camelToKebabCase(string) {
         .replace(/([A-Z])([A-Z])(?=[a-z])/g, '$1-$2')
         .toLowerCase();
 }
+
+/**
+ * Converts kebab case String to Camel Case
+ * (e.g. camel-case to camelCase)
+ * @param {string} string Input String
+ * @returns {string} camelCase string
+ */
+export function kebabToCamelCase(string) {
+    return string.replace(/-([a-z0-9])/g, (match, char) => char.toUpperCase());
+}
+
+/**
+ * Retrieves the content of a meta tag
+ * (e.g. <meta name="csrf-token" content="...">)
+ * @param {string} name Meta name
+ * @returns {string} Content (null if meta tag doesn't exist)
+ */
+export function getMetaContent(name) {
+    const $meta = document.querySelector(`meta[name="${name}"]`);
+
+    return $meta ? $meta.getAttribute('content') : null;
+}
+
+/**
+ * Parses the JSON content of a script element
+ * (e.g. <script type="application/json" data-app-state>{...}</script>)
+ * @param {Node|string} selector Script element (or selector)
+ * @returns {*} Parsed content (null if element doesn't exist or contains invalid JSON)
+ */
+export function parseJSONScript(selector) {
+    const $script = getElement(selector);
+
+    if ($script && $script !== document) {
+        try {
+            return JSON.parse($script.textContent);
+        } catch (e) {
+            console.error(e);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Calls given cleanup function once the signal is aborted
+ * @param {AbortSignal} signal Abort Signal (optional)
+ * @param {function} cleanup Cleanup function
+ * @returns {void}
+ */
+function onAbort(signal, cleanup) {
+    if (!signal) {
+        return;
+    }
+
+    if (signal.aborted) {
+        cleanup();
+    } else {
+        signal.addEventListener('abort', cleanup, { once: true });
+    }
+}
+
+/**
+ * Returns Promise that will be resolved when given element enters the viewport.
+ * Falls back to checking isInViewport on scroll & resize without IntersectionObserver.
+ * @param {Node} $el DOM Element
+ * @param {AbortSignal} signal Stops watching the element (the Promise never resolves then)
+ * @returns {Promise} Visibility Promise
+ */
+export function visiblePromise($el, signal) {
+    return new Promise((resolve) => {
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some((entry) => entry.isIntersecting)) {
+                    observer.disconnect();
+                    resolve();
+                }
+            });
+
+            observer.observe($el);
+            onAbort(signal, () => observer.disconnect());
+            return;
+        }
+
+        const stop = () => {
+            window.removeEventListener('scroll', check);
+            window.removeEventListener('resize', check);
+        };
+        const check = () => {
+            if (isInViewport($el, true)) {
+                stop();
+                resolve();
+            }
+        };
+
+        window.addEventListener('scroll', check, { passive: true });
+        window.addEventListener('resize', check, { passive: true });
+        onAbort(signal, stop);
+        check();
+    });
+}
+
+/**
+ * Returns Promise that will be resolved when the browser is idle
+ * (or after a short delay without requestIdleCallback)
+ * @param {number} timeout Maximum amount of milliseconds to wait
+ * @returns {Promise} Idle Promise
+ */
+export function idlePromise(timeout = 2000) {
+    return new Promise((resolve) => {
+        if ('requestIdleCallback' in window) {
+            window.requestIdleCallback(() => resolve(), { timeout });
+        } else {
+            setTimeout(resolve, 200);
+        }
+    });
+}
+
+/**
+ * Returns Promise that will be resolved on the first interaction
+ * (pointer, touch or focus) with given element
+ * @param {Node} $el DOM Element
+ * @param {AbortSignal} signal Stops listening (the Promise never resolves then)
+ * @returns {Promise} Interaction Promise
+ */
+export function interactionPromise($el, signal) {
+    const events = ['pointerover', 'pointerdown', 'touchstart', 'focusin'];
+
+    return new Promise((resolve) => {
+        const stop = () =>
+            events.forEach((eventName) => $el.removeEventListener(eventName, onInteraction));
+        const onInteraction = () => {
+            stop();
+            resolve();
+        };
+
+        events.forEach((eventName) =>
+            $el.addEventListener(eventName, onInteraction, { passive: true })
+        );
+        onAbort(signal, stop);
+    });
+}
+
+/**
+ * Returns Promise that will be resolved once given media query matches
+ * @param {string} query Media Query (e.g. '(min-width: 768px)')
+ * @param {AbortSignal} signal Stops listening (the Promise never resolves then)
+ * @returns {Promise} Media Query Promise
+ */
+export function mediaQueryPromise(query, signal) {
+    return new Promise((resolve) => {
+        const mediaQueryList = window.matchMedia(query);
+
+        if (mediaQueryList.matches) {
+            resolve();
+            return;
+        }
+
+        const onChange = (event) => {
+            if (event.matches) {
+                mediaQueryList.removeEventListener('change', onChange);
+                resolve();
+            }
+        };
+
+        mediaQueryList.addEventListener('change', onChange);
+        onAbort(signal, () => mediaQueryList.removeEventListener('change', onChange));
+    });
+}
+
+/**
+ * Returns Promise that will be resolved once given element should be hydrated,
+ * according to its hydration strategy: 'visible', 'idle', 'interaction'
+ * or 'media:(min-width: 768px)'. Other values resolve immediately.
+ * @param {Node} $el DOM Element
+ * @param {string} strategy Hydration strategy
+ * @param {AbortSignal} signal Cancels waiting, e.g. when the element is removed
+ * (removes all listeners, the Promise never resolves then)
+ * @returns {Promise} Hydration Promise
+ */
+export function hydrationPromise($el, strategy, signal) {
+    const [type, ...query] = (strategy || '').split(':');
+
+    switch (type.trim()) {
+        case 'visible':
+            return visiblePromise($el, signal);
+        case 'idle':
+            return idlePromise();
+        case 'interaction':
+            return interactionPromise($el, signal);
+        case 'media':
+            return mediaQueryPromise(query.join(':').trim(), signal);
+        default:
+            return Promise.resolve();
+    }
+}
@@ -7,82 +7,240 @@
 
 import Module from '../common/Module.js';
 
-const loadedJSFiles = {};
-const loadedCSSFiles = [];
+const DEFAULT_RESOURCE_TIMEOUT = 10000;
+
+// Pending & loaded resources per URL (failed ones are removed, so they can be retried)
+const loadedResources = {};
 
 /**
- * Loads given JS file by inserting script tag in document.
- * @param {string} url URL to JS file
- * @param {boolean} async Executes script async
- * @returns {Promise} Promise for script load
+ * Creates the error of a resource that didn't load
+ * @param {string} message Message
+ * @param {string} url URL of the file
+ * @param {boolean} timedOut Whether it took too long
+ * @returns {Error} Error
  */
-export function loadJSFile(url, async) {
-    if (url && typeof url === 'string') {
-        if (!Object.keys(loadedJSFiles).includes(url)) {
-            loadedJSFiles[url] = new Promise((resolve) => {
-                const firstScriptTag = document.getElementsByTagName('script')[0];
-                const newScriptTag = document.createElement('script');
+function createResourceError(message, url, timedOut = false) {
+    const error = new Error(message);
+    error.url = url;
+    error.timedOut = timedOut;
 
-                newScriptTag.src = url;
+    return error;
+}
 
-                if (async) {
-                    newScriptTag.async = true;
-                }
+/**
+ * Inserts a script or link tag
+ * @param {string} url URL to JS or CSS file
+ * @param {Object} options Options (see loadResource)
+ * @returns {Object} The element & a Promise that resolves with it once loaded
+ * (rejects & removes the element when it fails to load)
+ */
+function insertResource(url, options) {
+    const isCSS = options.type === 'css';
+    const $el = document.createElement(isCSS ? 'link' : 'script');
+
+    if (isCSS) {
+        $el.rel = 'stylesheet';
+        $el.href = url;
+    } else {
+        $el.src = url;
+        $el.async = options.async !== false;
+    }
 
-                newScriptTag.addEventListener('load', () => resolve(true), false);
-                newScriptTag.addEventListener('error', () => resolve(false), false);
+    if (options.integrity) {
+        $el.integrity = options.integrity;
+    }
 
-                firstScriptTag.parentNode.insertBefore(newScriptTag, firstScriptTag);
-            });
-        }
+    // Required for integrity checks of cross-origin files
+    if (options.crossOrigin || options.integrity) {
+        $el.crossOrigin = options.crossOrigin || 'anonymous';
+    }
+
+    // Read inline, as dom.js depends on this module
+    const nonce = options.nonce ?? document.querySelector('meta[name="csp-nonce"]')?.content;
+    if (nonce) {
+        $el.nonce = nonce;
+    }
+
+    const loaded = new Promise((resolve, reject) => {
+        $el.addEventListener('load', () => resolve($el), false);
+        $el.addEventListener(
+            'error',
+            () => {
+                $el.remove();
+                reject(createResourceError(`Failed to load ${url}`, url));
+            },
+            false
+        );
+    });
+
+    document.head.appendChild($el);
 
-        return loadedJSFiles[url];
+    return { $el, loaded };
+}
+
+/**
+ * Rejects when given Promise doesn't settle in time
+ * @param {Promise} promise Promise
+ * @param {number} timeout Milliseconds (0 to wait indefinitely)
+ * @param {string} url URL of the file, for the error
+ * @returns {Promise} Promise
+ */
+function withTimeout(promise, timeout, url) {
+    if (!timeout) {
+        return promise;
     }
 
-    return Promise.resolve();
+    let timer = null;
+    const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(
+            () => reject(createResourceError(`Timed out loading ${url}`, url, true)),
+            timeout
+        );
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
 }
 
 /**
- * Loads given CSS file by inserting script tag in document.
- * @param {string} url URL to CSS file
+ * Loads given JS or CSS file by inserting a script or link tag in the document (once per URL).
+ * Resolves once the file has loaded, rejects when it fails to load or times out
+ * (after retrying), in which case the next call tries again.
+ * Scripts that time out aren't retried though: removing a script doesn't stop it from running
+ * once downloaded, so inserting it again could run it twice. Later calls wait for that same
+ * script instead.
+ * @param {string} url URL to JS or CSS file
+ * @param {Object} options Options:
+ * type ('js' or 'css', based on the extension by default),
+ * timeout (milliseconds, defaults to 10000, 0 to wait indefinitely),
+ * retries (amount of retries after a failure, defaults to 0),
+ * async (for scripts, defaults to true),
+ * integrity, crossOrigin & nonce (defaults to <meta name="csp-nonce">)
+ * @returns {Promise} Promise that resolves with the script or link element
+ */
+export function loadResource(url, options = {}) {
+    if (!url || typeof url !== 'string') {
+        return Promise.reject(new Error('No URL given to load'));
+    }
+
+    if (loadedResources[url]) {
+        return loadedResources[url];
+    }
+
+    const settings = {
+        type: /\.css(\?|#|$)/i.test(url) ? 'css' : 'js',
+        timeout: DEFAULT_RESOURCE_TIMEOUT,
+        retries: 0,
+        ...options
+    };
+
+    // Caches the Promise of the URL until it rejects
+    const cache = (promise) => {
+        const cached = promise.catch((error) => {
+            if (loadedResources[url] === cached) {
+                delete loadedResources[url];
+            }
+
+            throw error;
+        });
+        loadedResources[url] = cached;
+
+        return cached;
+    };
+
+    const load = (retries) => {
+        const { $el, loaded } = insertResource(url, settings);
+
+        return withTimeout(loaded, settings.timeout, url).catch((error) => {
+            if (error.timedOut && settings.type === 'js') {
+                // Later calls wait for the script that's still loading
+                cache(loaded).catch(() => {});
+                throw error;
+            }
+
+            $el.remove();
+
+            return retries > 0 ? load(retries - 1) : Promise.reject(error);
+        });
+    };
+
+    return cache(load(settings.retries));
+}
+
+/**
+ * Loads multiple JS & CSS files in parallel (see loadResource)
+ * @param {Array} resources URLs or objects with a url & loadResource options
+ * @returns {Promise} Promise that resolves once all files have loaded
+ */
+export function loadResources(resources = []) {
+    return Promise.all(
+        resources.map((resource) =>
+            typeof resource === 'string'
+                ? loadResource(resource)
+                : loadResource(resource?.url, resource)
+        )
+    );
+}
+
+/**
+ * Loads given JS file by inserting script tag in document.
+ * @deprecated Use loadResource, which also rejects on errors
+ * @param {string} url URL to JS file
+ * @param {boolean} async Executes script async
  * @returns {Promise} Promise for script load
  */
+export function loadJSFile(url, async) {
+    return loadResource(url, { type: 'js', async: !!async });
+}
+
+/**
+ * Loads given CSS file by inserting link tag in document.
+ * @deprecated Use loadResource, which also rejects on errors
+ * @param {string} url URL to CSS file
+ * @returns {Promise} Promise for stylesheet load
+ */
 export function loadCssFile(url) {
-    if (url && typeof url === 'string' && loadedCSSFiles.indexOf(url) < 0) {
-        return new Promise((resolve) => {
-            // make a stylesheet link
-            const cssFile = document.createElement('link');
-            cssFile.rel = 'stylesheet';
-            cssFile.href = url;
-            // insert it at the end of the head in a legacy-friendly manner
-            document.head.insertBefore(
-                cssFile,
-                document.head.childNodes[document.head.childNodes.length - 1].nextSibling
-            );
-            loadedCSSFiles.push(url);
-            resolve();
-        });
-    }
+    return loadResource(url, { type: 'css' });
+}
 
-    return Promise.resolve();
+/**
+ * Detects whether an error is caused by a failed chunk (or CSS chunk) request,
+ * e.g. a 404 for an old chunk after a deploy or a network error
+ * @param {Error} error Error
+ * @returns {Boolean} Chunk load error
+ */
+export function isChunkLoadError(error) {
+    return error?.name === 'ChunkLoadError' || /loading (css )?chunk/i.test(error?.message || '');
 }
 
 /**
  * Handles different cases for dynamic imports:
- * (wrapped) promises or actual export (in case of eager dynamic import)
+ * (wrapped) promises or actual export (in case of eager dynamic import).
+ * Imports that fail to load their chunk are retried once.
  * @param {function|Module|Promise} initiator Initiator for dynamic import
  * @param {function} cb Function that's executed once promise is resolved
+ * @param {function} onError Error handler (errors are logged if omitted)
  * @returns {Promise} Promise for dynamic import execution
  */
-export async function loadDynamicImport(initiator, cb) {
+export async function loadDynamicImport(initiator, cb, onError) {
     let result;
+    const load = async (retry) => {
+        try {
+            if (typeof initiator === 'function' && !(initiator.prototype instanceof Module)) {
+                return await initiator();
+            }
 
-    if (typeof initiator === 'function' && !(initiator.prototype instanceof Module)) {
-        initiator = initiator();
-    }
+            return await initiator;
+        } catch (e) {
+            if (retry && typeof initiator === 'function' && isChunkLoadError(e)) {
+                return load(false);
+            }
+
+            throw e;
+        }
+    };
 
     try {
-        result = await Promise.resolve(initiator);
+        result = await load(true);
 
         // Handle default exports
         if (result && typeof result === 'object' && 'default' in result) {
@@ -99,7 +257,13 @@ export async function loadDynamicImport(initiator, cb) {
             result = cb(result);
         }
     } catch (e) {
-        console.error(e);
+        result = undefined;
+
+        if (typeof onError === 'function') {
+            onError(e);
+        } else {
+            console.error(e);
+        }
     }
 
     return result;
@@ -111,24 +275,29 @@ export async function loadDynamicImport(initiator, cb) {
  * @param {App} app App instance
  * @param {Node} el DOM element to pass to module
  * @param {Boolean} init Immediately run init-function after module load
+ * @param {function} onError Error handler (errors are logged if omitted)
  * @returns {Promise} Promise for include
  */
-export function initializeModule(initiator, app, el, init) {
+export function initializeModule(initiator, app, el, init, onError) {
     init = typeof init === 'boolean' ? init : true;
 
-    return loadDynamicImport(initiator, (Include) => {
-        if (Include) {
-            const include = new Include(app, el);
+    return loadDynamicImport(
+        initiator,
+        (Include) => {
+            if (Include) {
+                const include = new Include(app, el);
 
-            if (init && typeof include?.init === 'function') {
-                include.init();
-            }
+                if (init && typeof include?.init === 'function') {
+                    include.init();
+                }
 
-            return include;
-        }
+                return include;
+            }
 
-        return null;
-    });
+            return null;
+        },
+        onError
+    );
 }
 
 /**
@@ -152,47 +321,67 @@ export function isValidDate(date) {
 }
 
 /**
- * Tries to parse a string to one of the requested primitive types.
- * First type that matches is returned.
+ * Tries to parse a string to one of the requested types.
+ * First type that matches is returned. Booleans also accept
+ * an empty string (presence of an attribute) as true.
  * @param {string} str Input String
- * @param {Array} requestedTypes List of requested primitive types
- * @returns {*} Output
+ * @param {Array} requestedTypes List of requested types (String, Number, Boolean, Date, Array, Object)
+ * @returns {*} Output (undefined if none of the requested types match)
  */
 export function convertString(str, requestedTypes) {
     if (typeof str !== 'string' || !Array.isArray(requestedTypes) || requestedTypes.length === 0) {
-        return null;
+        return undefined;
     }
 
-    let output;
+    const parseJSON = () => {
+        try {
+            return JSON.parse(str);
+        } catch (e) {
+            return undefined;
+        }
+    };
+
     for (let i = 0; i < requestedTypes.length; i++) {
-        const type = requestedTypes[i];
-        switch (type) {
+        let output;
+
+        switch (requestedTypes[i]) {
+            case String:
+                return str;
             case Number:
-                output = parseFloat(str);
+                output = str.trim() !== '' ? Number(str) : NaN;
+                if (!isNaN(output)) {
+                    return output;
+                }
+                break;
+            case Boolean:
+                if (str === '' || str === 'true' || str === 'false') {
+                    return str !== 'false';
+                }
                 break;
             case Date:
                 output = parseISODate(str);
+                if (output) {
+                    return output;
+                }
                 break;
-            case Boolean:
             case Array:
+                output = parseJSON();
+                if (Array.isArray(output)) {
+                    return output;
+                }
+                break;
             case Object:
-                try {
-                    output = JSON.parse(str);
-                } catch (e) {
-                    console.log(e);
+                output = parseJSON();
+                if (output && typeof output === 'object' && !Array.isArray(output)) {
+                    return output;
                 }
                 break;
             default:
-                output = str;
                 break;
         }
-
-        if (output instanceof type) {
-            break;
-        }
     }
 
-    return output;
+    return undefined;
 }
 
 /**
@@ -226,3 +415,152 @@ export function parseISODate(dateString) {
 
     return null;
 }
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Retrieves the calendar date & time of given date in given time zone
+ * @param {Date} date Input Date
+ * @param {string} timeZone IANA time zone (e.g. Europe/Brussels)
+ * @returns {Object} Year, month, day, hour, minute & second
+ */
+export function getZonedDateParts(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date);
+
+    const output = {};
+    parts.forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            output[type] = parseInt(value, 10);
+        }
+    });
+
+    // Some engines format midnight as 24:00
+    output.hour %= 24;
+
+    return output;
+}
+
+/**
+ * Converts a calendar date & time in given time zone to a Date object
+ * (e.g. 18:00 in Europe/Brussels), taking daylight saving time into account
+ * @param {number} year Year
+ * @param {number} month Month (1 - 12)
+ * @param {number} day Day of the month
+ * @param {number} hour Hours
+ * @param {number} minute Minutes
+ * @param {string} timeZone IANA time zone (e.g. Europe/Brussels)
+ * @returns {Date} Output date
+ */
+export function getZonedDate(year, month, day, hour, minute, timeZone) {
+    const utc = Date.UTC(year, month - 1, day, hour, minute);
+    const getOffset = (time) => {
+        const parts = getZonedDateParts(new Date(time), timeZone);
+        const zoned = Date.UTC(
+            parts.year,
+            parts.month - 1,
+            parts.day,
+            parts.hour,
+            parts.minute,
+            parts.second
+        );
+
+        return zoned - time;
+    };
+
+    // Offset can differ at the actual time when crossing a DST transition,
+    // so correct it once more based on the first estimate
+    const estimate = utc - getOffset(utc);
+
+    return new Date(utc - getOffset(estimate));
+}
+
+/**
+ * Calculates the next occurrence of a (weekly or daily) recurrence rule
+ * after the given date, e.g. { every: 'friday', time: '18:00', timeZone: 'Europe/Brussels' }
+ * @param {Object} rule Recurrence rule. 'every' is a weekday or 'day', time defaults to 00:00 &
+ * time zone defaults to the one of the browser
+ * @param {Date} from Start Date
+ * @returns {Date} Next occurrence (null for an invalid rule)
+ */
+export function getNextOccurrence(rule, from) {
+    const every = String(rule?.every || '').toLowerCase();
+    const weekday = WEEKDAYS.indexOf(every);
+    const [hour, minute] = String(rule?.time || '00:00')
+        .split(':')
+        .map((value) => parseInt(value, 10));
+
+    if ((weekday < 0 && every !== 'day') || isNaN(hour) || isNaN(minute)) {
+        return null;
+    }
+
+    const timeZone = rule.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const today = getZonedDateParts(from, timeZone);
+
+    // Today's occurrence might already have passed, so check up to a week ahead
+    for (let i = 0; i <= 7; i++) {
+        const day = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+
+        if (weekday < 0 || day.getUTCDay() === weekday) {
+            const date = getZonedDate(
+                day.getUTCFullYear(),
+                day.getUTCMonth() + 1,
+                day.getUTCDate(),
+                hour,
+                minute,
+                timeZone
+            );
+
+            if (date > from) {
+                return date;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Retrieves the first upcoming milestone of a schedule.
+ * A schedule is either a list of milestones (ISO date strings or
+ * objects with a date & label) or a single recurrence rule (see getNextOccurrence).
+ * @param {Array|Object} schedule Schedule
+ * @param {Date} from Start Date
+ * @returns {Object} Milestone with date & label (null when all milestones have passed)
+ */
+export function getNextMilestone(schedule, from) {
+    if (Array.isArray(schedule)) {
+        const milestones = schedule
+            .map((milestone) => {
+                const { date, label } =
+                    typeof milestone === 'object' && milestone !== null
+                        ? milestone
+                        : { date: milestone };
+
+                return {
+                    date: date instanceof Date ? date : parseISODate(date),
+                    label: label || null
+                };
+            })
+            .filter(({ date }) => date && date > from)
+            .sort((a, b) => a.date - b.date);
+
+        return milestones[0] || null;
+    }
+
+    if (schedule && typeof schedule === 'object') {
+        const date = getNextOccurrence(schedule, from);
+
+        return date ? { date, label: schedule.label || null } : null;
+    }
+
+    return null;
+}
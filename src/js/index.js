@@ -1,11 +1,17 @@
 import '../scss/main.scss';
 import App from './common/App.js';
-import vueComponents from '../vue';
 
 // eslint-disable-next-line
 __webpack_public_path__ = window.publicPath || '/';
 
-const app = new App();
-app.init({
-    vueComponents
-});
+/**
+ * Starts the app of a page (see src/pages) with the components it uses
+ * @param {Object} dependencies App dependencies: components, vueComponents, ...
+ * @returns {App} App instance
+ */
+export default function initApp(dependencies) {
+    const app = new App();
+    app.init(dependencies);
+
+    return app;
+}
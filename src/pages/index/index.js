@@ -0,0 +1,8 @@
+import initApp from '../../js/index.js';
+import components from '../../js/components';
+import { Countdown, Newsletter } from '../../vue';
+
+initApp({
+    components,
+    vueComponents: { Countdown, Newsletter }
+});
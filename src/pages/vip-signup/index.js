@@ -0,0 +1,6 @@
+import initApp from '../../js/index.js';
+import { Newsletter } from '../../vue';
+
+initApp({
+    vueComponents: { Newsletter }
+});
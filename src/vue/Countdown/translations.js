@@ -0,0 +1,68 @@
+/**
+ * Countdown translations per language.
+ * Labels are keyed by Intl.PluralRules category ('other' is the fallback),
+ * 'units' are shown below the numbers, 'words' are used in the
+ * screen reader announcement ('{time}' is replaced by the remaining time).
+ */
+export default {
+    en: {
+        units: {
+            days: { one: 'day', other: 'days' },
+            hours: { one: 'hour', other: 'hours' },
+            minutes: { other: 'min' },
+            seconds: { other: 'sec' }
+        },
+        words: {
+            days: { one: 'day', other: 'days' },
+            hours: { one: 'hour', other: 'hours' },
+            minutes: { one: 'minute', other: 'minutes' },
+            seconds: { one: 'second', other: 'seconds' }
+        },
+        remaining: '{time} remaining'
+    },
+    nl: {
+        units: {
+            days: { one: 'dag', other: 'dagen' },
+            hours: { other: 'uur' },
+            minutes: { other: 'min' },
+            seconds: { other: 'sec' }
+        },
+        words: {
+            days: { one: 'dag', other: 'dagen' },
+            hours: { other: 'uur' },
+            minutes: { one: 'minuut', other: 'minuten' },
+            seconds: { one: 'seconde', other: 'seconden' }
+        },
+        remaining: 'Nog {time}'
+    },
+    fr: {
+        units: {
+            days: { one: 'jour', other: 'jours' },
+            hours: { one: 'heure', other: 'heures' },
+            minutes: { other: 'min' },
+            seconds: { other: 'sec' }
+        },
+        words: {
+            days: { one: 'jour', other: 'jours' },
+            hours: { one: 'heure', other: 'heures' },
+            minutes: { one: 'minute', other: 'minutes' },
+            seconds: { one: 'seconde', other: 'secondes' }
+        },
+        remaining: 'Il reste {time}'
+    },
+    de: {
+        units: {
+            days: { one: 'Tag', other: 'Tage' },
+            hours: { one: 'Stunde', other: 'Stunden' },
+            minutes: { other: 'Min' },
+            seconds: { other: 'Sek' }
+        },
+        words: {
+            days: { one: 'Tag', other: 'Tage' },
+            hours: { one: 'Stunde', other: 'Stunden' },
+            minutes: { one: 'Minute', other: 'Minuten' },
+            seconds: { one: 'Sekunde', other: 'Sekunden' }
+        },
+        remaining: 'Noch {time}'
+    }
+};
@@ -0,0 +1,206 @@
+/**
+ * Offline queue for newsletter submissions
+ *
+ * Failed submissions (offline or server errors) are persisted to localStorage
+ * & retried with exponential backoff when the browser comes back online,
+ * on the next page load or once their backoff delay has passed.
+ */
+
+import { ERROR_TYPES } from '../../js/common/ApiClient.js';
+
+const STORAGE_KEY = 'newsletter-queue';
+const BASE_DELAY = 5000;
+const MAX_DELAY = 300000;
+const MAX_ATTEMPTS = 10;
+
+const subscribers = [];
+let send = null;
+let timeout = null;
+let processing = null;
+
+/**
+ * Reads the queue from localStorage
+ * @returns {Array} Queued entries
+ */
+function getQueue() {
+    try {
+        const queue = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(queue) ? queue : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Writes the queue to localStorage
+ * @param {Array} queue Queued entries
+ * @returns {void}
+ */
+function saveQueue(queue) {
+    try {
+        if (queue.length > 0) {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+        } else {
+            window.localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (e) {
+        // Storage is full or unavailable (e.g. private mode), nothing to persist to
+    }
+}
+
+/**
+ * Calculates the delay before the next attempt
+ * @param {number} attempts Amount of failed attempts
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempts) {
+    return Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY);
+}
+
+/**
+ * Schedules processing of the queue once the first entry is due
+ * @returns {void}
+ */
+function scheduleQueue() {
+    clearTimeout(timeout);
+
+    const queue = getQueue();
+    if (queue.length > 0 && send) {
+        const nextAttempt = Math.min(...queue.map((entry) => entry.nextAttempt));
+        timeout = setTimeout(() => processQueue(), Math.max(0, nextAttempt - Date.now()));
+    }
+}
+
+function onOnline() {
+    processQueue(true);
+}
+
+/**
+ * Checks whether a failed request is worth retrying:
+ * network errors, timeouts & server errors (5xx)
+ * @param {ApiError} error API error
+ * @returns {boolean} Retriable
+ */
+export function isRetriableError(error) {
+    return [ERROR_TYPES.network, ERROR_TYPES.timeout, ERROR_TYPES.server].includes(error?.type);
+}
+
+/**
+ * Adds a submission to the queue,
+ * replacing an earlier submission with the same key (e.g. email address)
+ * @param {string} key Deduplication key
+ * @param {Object} config Serializable request config
+ * @returns {void}
+ */
+export function enqueue(key, config) {
+    const queue = getQueue().filter((entry) => entry.key !== key);
+
+    queue.push({
+        key,
+        config,
+        queuedAt: Date.now(),
+        attempts: 1,
+        nextAttempt: Date.now() + getBackoffDelay(1)
+    });
+    saveQueue(queue);
+    scheduleQueue();
+}
+
+/**
+ * Retries the queued submissions that are due
+ * @param {boolean} force Retry all submissions, regardless of their backoff delay
+ * @returns {Promise} Promise that resolves once all due submissions were tried
+ */
+export function processQueue(force) {
+    if (processing || !send || navigator.onLine === false) {
+        return processing || Promise.resolve();
+    }
+
+    const now = Date.now();
+    const due = getQueue().filter((entry) => force || entry.nextAttempt <= now);
+    const results = [];
+
+    processing = due
+        .reduce(
+            (promise, entry) =>
+                promise.then(() =>
+                    send(entry.config).then(
+                        () => results.push({ entry, sent: true }),
+                        (error) => results.push({ entry, sent: false, error })
+                    )
+                ),
+            Promise.resolve()
+        )
+        .then(() => {
+            // Re-read the queue, so entries added in the meantime are kept
+            const queue = getQueue()
+                .map((entry) => {
+                    const result = results.find(
+                        (item) =>
+                            item.entry.key === entry.key && item.entry.queuedAt === entry.queuedAt
+                    );
+
+                    if (!result) {
+                        return entry;
+                    }
+
+                    const attempts = entry.attempts + 1;
+                    // Sent, or given up on: not worth retrying or out of attempts
+                    if (result.sent || !isRetriableError(result.error) || attempts > MAX_ATTEMPTS) {
+                        return null;
+                    }
+
+                    return {
+                        ...entry,
+                        attempts,
+                        nextAttempt: Date.now() + getBackoffDelay(attempts)
+                    };
+                })
+                .filter(Boolean);
+
+            saveQueue(queue);
+
+            // Notify about sent submissions & the ones that were given up on
+            results
+                .filter(({ entry, sent }) => sent || !queue.some((item) => item.key === entry.key))
+                .forEach(({ entry, sent, error }) =>
+                    subscribers.forEach((fn) => fn(entry.key, sent ? null : error))
+                );
+        })
+        .finally(() => {
+            processing = null;
+            scheduleQueue();
+        });
+
+    return processing;
+}
+
+/**
+ * Starts processing the queue with given send function:
+ * immediately, when coming back online & after backoff delays
+ * @param {function} sendFn Function that sends a request config & returns a Promise
+ * @param {function} onSent Callback with the key of every submission that was sent,
+ * or that was given up on (with its ApiError as second argument)
+ * @returns {function} Function to stop listening for sent submissions
+ */
+export function watchQueue(sendFn, onSent) {
+    if (!send) {
+        window.addEventListener('online', onOnline);
+    }
+
+    send = sendFn;
+
+    if (typeof onSent === 'function') {
+        subscribers.push(onSent);
+    }
+
+    processQueue(true);
+
+    return () => {
+        const index = subscribers.indexOf(onSent);
+
+        if (index >= 0) {
+            subscribers.splice(index, 1);
+        }
+    };
+}
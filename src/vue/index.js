@@ -1,4 +1,12 @@
+// Pages import the components they use (see src/pages), the default export registers all of them.
+// Components with third-party JS/CSS files are registered as { component, dependencies }
+// (see getVueComponentInitiator in App.js)
+export const Countdown = () =>
+    import(/* webpackChunkName: "countdown" */ './Countdown/Countdown.vue');
+export const Newsletter = () =>
+    import(/* webpackChunkName: "newsletter" */ './Newsletter/Newsletter.vue');
+
 export default {
-    Countdown: () => import('./Countdown/Countdown.vue'),
-    Newsletter: () => import('./Newsletter/Newsletter.vue')
+    Countdown,
+    Newsletter
 };
@@ -0,0 +1,115 @@
+import Analytics from '../../src/js/common/Analytics.js';
+import App from '../../src/js/common/App.js';
+
+const IN_VIEW = { top: 100, bottom: 300, left: 0, right: 200, width: 200, height: 200 };
+const OUT_OF_VIEW = { top: 2000, bottom: 2200, left: 0, right: 200, width: 200, height: 200 };
+
+describe('Analytics', () => {
+    let adapter;
+    let analytics;
+
+    beforeEach(() => {
+        adapter = { track: jest.fn() };
+        analytics = new Analytics({ adapter });
+    });
+
+    it('buffers events until consent is granted', () => {
+        analytics.track('newsletter_submit');
+        analytics.track('newsletter_success', { status: 'success' });
+        expect(adapter.track).not.toHaveBeenCalled();
+
+        analytics.setConsent(true);
+        expect(adapter.track.mock.calls).toEqual([
+            ['newsletter_submit', {}],
+            ['newsletter_success', { status: 'success' }]
+        ]);
+
+        analytics.track('countdown_viewed', { endDate: null });
+        expect(adapter.track).toHaveBeenLastCalledWith('countdown_viewed', { endDate: null });
+    });
+
+    it('drops buffered events when consent is denied', () => {
+        analytics.track('newsletter_submit');
+        analytics.setConsent(false);
+        analytics.setConsent(true);
+
+        expect(adapter.track).not.toHaveBeenCalled();
+    });
+
+    it('only keeps the latest 100 events', () => {
+        for (let i = 0; i < 110; i++) {
+            analytics.track('event', { i });
+        }
+        analytics.setConsent(true);
+
+        expect(adapter.track).toHaveBeenCalledTimes(100);
+        expect(adapter.track).toHaveBeenNthCalledWith(1, 'event', { i: 10 });
+    });
+
+    it('grants consent through the analytics:consent event', async () => {
+        const app = new App();
+        await app.initDependencies({ analytics: { adapter } });
+        app.analytics.track('newsletter_submit');
+
+        document.dispatchEvent(new CustomEvent('analytics:consent', { detail: { granted: true } }));
+
+        expect(adapter.track).toHaveBeenCalledWith('newsletter_submit', {});
+        app.off('analytics:consent');
+    });
+
+    describe('trackImpression', () => {
+        let $el;
+        let rect;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            analytics.setConsent(true);
+            document.body.innerHTML = '<div class="countdown"></div>';
+            $el = document.body.firstChild;
+            rect = IN_VIEW;
+            $el.getBoundingClientRect = () => rect;
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('tracks once the element stayed in view for a second', () => {
+            analytics.trackImpression($el, 'countdown_viewed', { endDate: null });
+
+            jest.advanceTimersByTime(999);
+            expect(adapter.track).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(1);
+            expect(adapter.track).toHaveBeenCalledWith('countdown_viewed', { endDate: null });
+
+            // Only once
+            window.dispatchEvent(new Event('scroll'));
+            jest.advanceTimersByTime(1000);
+            expect(adapter.track).toHaveBeenCalledTimes(1);
+        });
+
+        it("doesn't track elements that are scrolled out of view too soon", () => {
+            analytics.trackImpression($el, 'countdown_viewed');
+
+            jest.advanceTimersByTime(500);
+            rect = OUT_OF_VIEW;
+            window.dispatchEvent(new Event('scroll'));
+            jest.advanceTimersByTime(1000);
+            expect(adapter.track).not.toHaveBeenCalled();
+
+            rect = IN_VIEW;
+            window.dispatchEvent(new Event('scroll'));
+            jest.advanceTimersByTime(1000);
+            expect(adapter.track).toHaveBeenCalledTimes(1);
+        });
+
+        it('stops tracking through the returned function', () => {
+            const stop = analytics.trackImpression($el, 'countdown_viewed');
+
+            stop();
+            jest.advanceTimersByTime(1000);
+            expect(adapter.track).not.toHaveBeenCalled();
+        });
+    });
+});
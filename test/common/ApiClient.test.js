@@ -0,0 +1,81 @@
+import MockAdapter from 'axios-mock-adapter';
+import buildFullPath from 'axios/lib/core/buildFullPath';
+
+import ApiClient, { ApiError, ERROR_TYPES } from '../../src/js/common/ApiClient.js';
+
+describe('ApiClient', () => {
+    let api;
+    let apiMock;
+
+    const getError = (promise) =>
+        promise.then(
+            () => null,
+            (error) => error
+        );
+
+    beforeEach(() => {
+        document.head.innerHTML = `
+            <meta name="api-base-url" content="https://api.example.com">
+            <meta name="csrf-token" content="token123">`;
+        api = new ApiClient();
+        apiMock = new MockAdapter(api.http);
+    });
+
+    it('prepends the base URL & sends the CSRF token', async () => {
+        apiMock.onPost('/api/newsletter-subscribe/').reply(200, {});
+        await api.post('/api/newsletter-subscribe/', { email: 'jane@example.com' });
+
+        const [request] = apiMock.history.post;
+        expect(buildFullPath(request.baseURL, request.url)).toBe(
+            'https://api.example.com/api/newsletter-subscribe/'
+        );
+        expect(request.headers['X-CSRF-Token']).toBe('token123');
+    });
+
+    it('reads the CSRF header name from its meta tag', async () => {
+        document.head.insertAdjacentHTML(
+            'beforeend',
+            '<meta name="csrf-header" content="X-XSRF-Token">'
+        );
+        api = new ApiClient();
+        apiMock = new MockAdapter(api.http);
+        apiMock.onGet('/items').reply(200, []);
+        await api.get('/items');
+
+        expect(apiMock.history.get[0].headers['X-XSRF-Token']).toBe('token123');
+    });
+
+    it.each([
+        ['network errors', (mock) => mock.networkError(), ERROR_TYPES.network, null],
+        ['timeouts', (mock) => mock.timeout(), ERROR_TYPES.timeout, null],
+        ['client errors', (mock) => mock.reply(404), ERROR_TYPES.client, 404],
+        ['server errors', (mock) => mock.reply(503), ERROR_TYPES.server, 503]
+    ])('rejects %s with an ApiError', async (name, respond, type, status) => {
+        respond(apiMock.onGet('/items'));
+        const error = await getError(api.get('/items'));
+
+        expect(error).toBeInstanceOf(ApiError);
+        expect(error).toMatchObject({ type, status });
+    });
+
+    it('maps the field errors of validation responses', async () => {
+        apiMock.onPost('/items').reply(422, {
+            errors: { email: ['Invalid email address.', 'Too long.'], name: 'Required.' }
+        });
+        const error = await getError(api.post('/items', {}));
+
+        expect(error.type).toBe(ERROR_TYPES.validation);
+        expect(error.fieldErrors).toEqual({ email: 'Invalid email address.', name: 'Required.' });
+    });
+
+    it('aborts the pending request with the same abortKey', async () => {
+        apiMock.onGet('/search').reply(({ params }) => [200, { query: params.query }]);
+
+        const first = getError(api.get('/search', { params: { query: 'j' }, abortKey: 'search' }));
+        const second = api.get('/search', { params: { query: 'ja' }, abortKey: 'search' });
+
+        expect((await first).type).toBe(ERROR_TYPES.cancel);
+        expect((await second).data).toEqual({ query: 'ja' });
+        expect(api.controllers).toEqual({});
+    });
+});
@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+
+import App from '../../src/js/common/App.js';
+import Module from '../../src/js/common/Module.js';
+import { noopAdapter } from '../../src/js/common/Analytics.js';
+import vueComponents from '../../src/vue/index.js';
+import { flushPromises } from '../utils.js';
+
+const fixture = fs.readFileSync(path.join(__dirname, '../fixtures/islands.html'), 'utf8');
+
+class Accordion extends Module {
+    options = { speed: 200, closeOthers: true };
+}
+
+describe('App', () => {
+    let app;
+    let onError;
+
+    // Root instances of the islands, with the component itself as only child
+    const getIsland = (className) =>
+        app.vueComponents.find((vm) => vm.$el.classList.contains(className))?.$children[0];
+
+    // Once for all tests, as the fake timers also replace the Date constructor
+    // that's compared against the prop types
+    beforeAll(() => {
+        jest.useFakeTimers();
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    beforeEach(async () => {
+        jest.setSystemTime(new Date('2026-11-20T00:00:00Z'));
+        document.body.innerHTML = fixture;
+
+        app = new App();
+        onError = jest.fn();
+        app.onError(onError);
+
+        await app.init({
+            components: { Accordion },
+            vueComponents: {
+                ...vueComponents,
+                Broken: () => Promise.reject(new Error('Loading chunk Broken failed.'))
+            },
+            analytics: { adapter: noopAdapter }
+        });
+        await flushPromises();
+    });
+
+    afterEach(() => {
+        app.destroyComponents(document.body);
+    });
+
+    it('mounts the registered Vue components with their props', () => {
+        expect(app.vueComponents).toHaveLength(2);
+
+        const countdown = getIsland('countdown');
+        expect(countdown.$props).toMatchObject({
+            endDate: new Date('2026-11-27T00:00:00Z'),
+            units: ['days', 'hours'],
+            togglePhaseSiblings: true,
+            padding: 2
+        });
+
+        const newsletter = getIsland('newsletter');
+        expect(newsletter.$props).toMatchObject({
+            payloadFormat: 'json',
+            params: { source: 'fixture' },
+            endpoint: '/api/newsletter-subscribe/'
+        });
+    });
+
+    it('passes server-rendered content as slots', () => {
+        const $countdown = getIsland('countdown').$el;
+
+        expect($countdown.querySelector('.intro').textContent).toBe('Black Friday starts in');
+        expect($countdown.querySelectorAll('.counter-item')).toHaveLength(2);
+    });
+
+    it('leaves unknown components untouched', () => {
+        expect(document.querySelector('[data-vue-component="Unknown"]').innerHTML).toBe(
+            '<p>Not a component</p>'
+        );
+    });
+
+    it('reports components that fail to load & applies their fallback', () => {
+        const $broken = document.querySelector('[data-vue-component="Broken"]');
+
+        expect($broken.hidden).toBe(true);
+        expect(onError).toHaveBeenCalledWith(
+            expect.objectContaining({ message: 'Loading chunk Broken failed.' }),
+            { $el: $broken, component: 'Broken', info: 'load' }
+        );
+    });
+
+    it('mounts components only once their dependencies have loaded', async () => {
+        const url = 'https://cdn.example.com/newsletter.js';
+        const $el = document.createElement('div');
+        document.body.appendChild($el);
+        app.dependencies.vueComponents.WithDependencies = {
+            component: vueComponents.Newsletter,
+            dependencies: [url]
+        };
+
+        const promise = app.initVueComponent($el, 'WithDependencies', {});
+        await flushPromises();
+
+        expect(app.vueComponents).toHaveLength(2);
+
+        document.head.querySelector(`script[src="${url}"]`).dispatchEvent(new Event('load'));
+        await promise;
+
+        expect(app.vueComponents).toHaveLength(3);
+    });
+
+    it('reports dependencies that fail to load', async () => {
+        const url = 'https://cdn.example.com/missing.js';
+        const $el = document.createElement('div');
+        document.body.appendChild($el);
+        app.dependencies.vueComponents.WithDependencies = {
+            component: vueComponents.Newsletter,
+            dependencies: [url]
+        };
+
+        const promise = app.initVueComponent($el, 'WithDependencies', {});
+        await flushPromises();
+        document.head.querySelector(`script[src="${url}"]`).dispatchEvent(new Event('error'));
+        await promise;
+
+        expect(app.vueComponents).toHaveLength(2);
+        expect(onError).toHaveBeenCalledWith(
+            expect.objectContaining({ message: `Failed to load ${url}` }),
+            { $el, component: 'WithDependencies', info: 'load' }
+        );
+    });
+
+    it('initializes JS components with options from their data attributes', () => {
+        expect(app.components).toHaveLength(1);
+        expect(app.components[0]).toBeInstanceOf(Accordion);
+        expect(app.components[0].options).toEqual({ speed: 300, closeOthers: true });
+    });
+
+    it('initializes JS components again when they are removed & re-added', async () => {
+        app.observeComponents(document.body);
+        const $accordion = document.querySelector('[data-component="Accordion"]');
+        const $parent = $accordion.parentNode;
+
+        $accordion.remove();
+        await flushPromises();
+        expect(app.components).toHaveLength(0);
+
+        $parent.appendChild($accordion);
+        await flushPromises();
+        expect(app.components).toHaveLength(1);
+        expect(app.components[0].$el).toBe($accordion);
+
+        app.disconnectComponents();
+    });
+
+    it('stops waiting for the hydration of removed placeholders', async () => {
+        document.body.insertAdjacentHTML(
+            'beforeend',
+            '<div id="lazy" data-vue-component="Countdown" data-hydrate="interaction"></div>'
+        );
+        const $lazy = document.getElementById('lazy');
+        await app.initVueComponents(document.body);
+        const removeEventListener = jest.spyOn($lazy, 'removeEventListener');
+
+        $lazy.remove();
+        app.destroyComponents($lazy);
+
+        expect(removeEventListener).toHaveBeenCalledWith('pointerdown', expect.any(Function));
+        expect(app.pendingHydrations.size).toBe(0);
+
+        $lazy.dispatchEvent(new Event('pointerdown'));
+        await flushPromises();
+        expect(app.vueComponents).toHaveLength(2);
+    });
+
+    it('initializes components within placeholders once the Vue Component is mounted', async () => {
+        document.body.insertAdjacentHTML(
+            'beforeend',
+            `<div id="nested" data-vue-component="Newsletter">
+                <p><span data-component="Accordion"></span></p>
+                <div data-vue-component="Countdown" data-end-date="2026-11-27T00:00:00Z"></div>
+            </div>`
+        );
+        const $original = document.querySelector('#nested [data-component="Accordion"]');
+
+        await app.initVueComponents(document.body);
+        await app.initComponents(document.body);
+        await flushPromises();
+
+        const $form = app.vueComponents[2].$el;
+        expect(app.vueComponents).toHaveLength(4);
+        expect(app.components).toHaveLength(2);
+        expect(app.components[1].$el).not.toBe($original);
+        expect(app.components[1].$el.isConnected).toBe(true);
+        expect($form.contains(app.components[1].$el)).toBe(true);
+        expect($form.contains(app.vueComponents[3].$el)).toBe(true);
+    });
+
+    it('mounts Vue Components again when they are removed & re-added', async () => {
+        app.observeComponents(document.body);
+        const $footer = document.querySelector('footer');
+        const $form = getIsland('newsletter').$el;
+
+        // The root element itself
+        $form.remove();
+        await flushPromises();
+        expect(app.vueComponents).toHaveLength(1);
+
+        $footer.prepend($form);
+        await flushPromises();
+        expect(app.vueComponents).toHaveLength(2);
+        expect(getIsland('newsletter').$el.isConnected).toBe(true);
+
+        // A container of the component
+        $footer.remove();
+        await flushPromises();
+        expect(app.vueComponents).toHaveLength(1);
+
+        document.body.appendChild($footer);
+        await flushPromises();
+        expect(app.vueComponents).toHaveLength(2);
+        expect($footer.contains(getIsland('newsletter').$el)).toBe(true);
+
+        app.disconnectComponents();
+    });
+
+    it('mounts components that are added while others are loading', async () => {
+        let loadSlow;
+        app.destroyComponents(document.body);
+        app = new App();
+        document.body.innerHTML = '<div data-vue-component="Slow"></div>';
+
+        const init = app.init({
+            components: { Accordion },
+            vueComponents: {
+                Slow: () => new Promise((resolve) => (loadSlow = resolve))
+            },
+            analytics: { adapter: noopAdapter },
+            observe: true
+        });
+        await flushPromises();
+        document.body.insertAdjacentHTML('beforeend', '<div data-component="Accordion"></div>');
+        await flushPromises();
+
+        expect(app.components).toHaveLength(1);
+
+        loadSlow(vueComponents.Newsletter());
+        await init;
+        app.disconnectComponents();
+    });
+
+    it('never mounts an element twice', async () => {
+        await app.initVueComponents(document.body);
+
+        expect(app.vueComponents).toHaveLength(2);
+    });
+});
@@ -0,0 +1,70 @@
+import EventBus from '../../src/js/common/EventBus.js';
+
+describe('EventBus', () => {
+    let events;
+
+    beforeEach(() => {
+        events = new EventBus();
+    });
+
+    it('dispatches events as CustomEvents on the document', () => {
+        const listener = jest.fn();
+        document.addEventListener('newsletter:subscribed', listener);
+
+        events.emit('newsletter:subscribed', { status: 'success' });
+
+        expect(listener.mock.calls[0][0]).toBeInstanceOf(CustomEvent);
+        expect(listener.mock.calls[0][0].detail).toEqual({ status: 'success' });
+        document.removeEventListener('newsletter:subscribed', listener);
+    });
+
+    it('passes events dispatched by other scripts to its handlers', () => {
+        const handler = jest.fn();
+        events.on('analytics:consent', handler);
+
+        const event = new CustomEvent('analytics:consent', { detail: { granted: true } });
+        document.dispatchEvent(event);
+
+        expect(handler).toHaveBeenCalledWith({ granted: true }, event);
+        events.off('analytics:consent');
+    });
+
+    it('unsubscribes through the returned function', () => {
+        const handler = jest.fn();
+        const unsubscribe = events.on('countdown:finished', handler);
+
+        unsubscribe();
+        events.emit('countdown:finished');
+
+        expect(handler).not.toHaveBeenCalled();
+        expect(events.listeners).toEqual({});
+    });
+
+    it('only calls once-handlers for the next event', () => {
+        const handler = jest.fn();
+        events.once('countdown:started', handler);
+
+        events.emit('countdown:started', 1);
+        events.emit('countdown:started', 2);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith(1, expect.any(CustomEvent));
+        expect(events.listeners).toEqual({});
+    });
+
+    it('removes one or all handlers of an event through off', () => {
+        const first = jest.fn();
+        const second = jest.fn();
+        events.on('countdown:milestone', first);
+        events.on('countdown:milestone', second);
+
+        events.off('countdown:milestone', first);
+        events.emit('countdown:milestone');
+        expect(first).not.toHaveBeenCalled();
+        expect(second).toHaveBeenCalledTimes(1);
+
+        events.off('countdown:milestone');
+        events.emit('countdown:milestone');
+        expect(second).toHaveBeenCalledTimes(1);
+    });
+});
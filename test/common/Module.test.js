@@ -0,0 +1,88 @@
+import Vue from 'vue';
+
+import App from '../../src/js/common/App.js';
+import Module from '../../src/js/common/Module.js';
+
+const cart = {
+    namespaced: true,
+    state: () => ({ count: 0, currency: 'EUR' }),
+    getters: {
+        count: (state) => state.count
+    },
+    mutations: {
+        setCount(state, count) {
+            state.count = count;
+        }
+    }
+};
+
+class CartBadge extends Module {
+    storeWatchers = [{ getter: 'cart/count', handler: 'onCountChange', immediate: true }];
+
+    onCountChange(count) {
+        this.$el.textContent = count;
+    }
+}
+
+describe('Module', () => {
+    let app;
+    let $el;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<span class="badge"></span>';
+        $el = document.querySelector('.badge');
+        app = new App();
+        app.initStore({ cart });
+    });
+
+    it('watches store getters until destroyed', async () => {
+        const badge = new CartBadge(app, $el);
+        badge.init();
+        expect($el.textContent).toBe('0');
+
+        app.store.commit('cart/setCount', 2);
+        await Vue.nextTick();
+        expect($el.textContent).toBe('2');
+
+        badge.destroy();
+        app.store.commit('cart/setCount', 5);
+        await Vue.nextTick();
+        expect($el.textContent).toBe('2');
+    });
+
+    it('skips watchers with a missing handler method with a warning', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        class Broken extends CartBadge {
+            storeWatchers = [
+                { getter: 'cart/count', handler: 'onMissing' },
+                { getter: 'cart/count', handler: 'onCountChange', immediate: true }
+            ];
+        }
+        const broken = new Broken(app, $el);
+        broken.init();
+
+        expect(warn).toHaveBeenCalledWith(
+            '[Broken] store watcher handler "onMissing" is not a method'
+        );
+        expect($el.textContent).toBe('0');
+        expect(broken.storeUnwatchers).toHaveLength(1);
+        warn.mockRestore();
+    });
+});
+
+describe('App store', () => {
+    it('merges the server-rendered initial state into registered modules', () => {
+        document.body.innerHTML =
+            '<script type="application/json" data-app-state>{"cart": {"count": 3}}</script>';
+        const app = new App();
+        app.initStore({ cart });
+
+        expect(app.store.state.cart).toEqual({ count: 3, currency: 'EUR' });
+
+        // Registering the same module again is ignored
+        app.store.commit('cart/setCount', 4);
+        app.registerStoreModule('cart', cart);
+        expect(app.store.state.cart.count).toBe(4);
+    });
+});
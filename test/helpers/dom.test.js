@@ -0,0 +1,161 @@
+import {
+    getDataset,
+    getElementPath,
+    getSlotNodes,
+    parseVueProps
+} from '../../src/js/helpers/dom.js';
+
+describe('getDataset', () => {
+    it('parses JSON values & keeps other strings', () => {
+        document.body.innerHTML = `<div data-speed="300" data-items='["a"]' data-title="Hello"></div>`;
+
+        expect(getDataset(document.body.firstChild)).toEqual({
+            speed: 300,
+            items: ['a'],
+            title: 'Hello'
+        });
+    });
+
+    it('filters by prefix', () => {
+        document.body.innerHTML = `<div data-slider-speed="300" data-title="Hello"></div>`;
+
+        expect(getDataset(document.body.firstChild, 'slider')).toEqual({ speed: 300 });
+    });
+});
+
+describe('parseVueProps', () => {
+    let warn;
+
+    beforeEach(() => {
+        warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warn.mockRestore();
+    });
+
+    it('coerces values to the defined types', () => {
+        const props = parseVueProps(
+            {
+                title: String,
+                count: Number,
+                date: Date,
+                items: { type: Array },
+                schedule: [Array, Object],
+                anything: null
+            },
+            {
+                title: 'Sale',
+                count: '3',
+                date: '2026-11-27',
+                items: '[1,2]',
+                schedule: '{"every":"day"}',
+                anything: '{"a":1}'
+            }
+        );
+
+        expect(props).toEqual({
+            title: 'Sale',
+            count: 3,
+            date: new Date('2026-11-27T00:00:00Z'),
+            items: [1, 2],
+            schedule: { every: 'day' },
+            anything: '{"a":1}'
+        });
+    });
+
+    it('supports presence booleans & empty strings', () => {
+        const props = parseVueProps(
+            { compact: Boolean, darkMode: Boolean, title: String },
+            { compact: '', darkMode: 'dark-mode', title: '' }
+        );
+
+        expect(props).toEqual({ compact: true, darkMode: true, title: '' });
+    });
+
+    it('follows the order of Boolean & String types, like Vue', () => {
+        const props = parseVueProps(
+            { size: [String, Boolean], dense: [Boolean, String] },
+            { size: 'size', dense: 'dense' }
+        );
+
+        expect(props).toEqual({ size: 'size', dense: true });
+    });
+
+    it('supports an array of prop names', () => {
+        expect(parseVueProps(['title'], { title: 'Sale', other: 'x' })).toEqual({ title: 'Sale' });
+    });
+
+    it('leaves out invalid values with a warning, so Vue uses the default', () => {
+        document.body.innerHTML = '<div id="countdown"></div>';
+        const $el = document.getElementById('countdown');
+        const props = parseVueProps(
+            {
+                padding: { type: Number, default: 2 },
+                units: { type: Array, validator: (units) => units.length > 0 }
+            },
+            { padding: 'abc', units: '[]' },
+            $el
+        );
+
+        expect(props).toEqual({});
+        expect(warn).toHaveBeenCalledTimes(2);
+        expect(warn.mock.calls[0][0]).toContain('div#countdown [data-padding]');
+        expect(warn.mock.calls[1][0]).toContain('[data-units]');
+    });
+
+    it('warns about missing required props', () => {
+        parseVueProps({ endDate: { type: Date, required: true } }, {});
+
+        expect(warn.mock.calls[0][0]).toContain('[data-end-date]: missing required prop');
+    });
+
+    it('reads JSON script props', () => {
+        document.body.innerHTML = `<div>
+            <script type="application/json" data-props>{"endDate": "2026-11-27", "units": ["days"]}</script>
+            <script type="application/json" data-prop="labels">{"days": "d"}</script>
+        </div>`;
+        const props = parseVueProps(
+            { endDate: Date, units: Array, labels: Object },
+            {},
+            document.body.firstChild
+        );
+
+        expect(props).toEqual({
+            endDate: new Date('2026-11-27T00:00:00Z'),
+            units: ['days'],
+            labels: { days: 'd' }
+        });
+    });
+});
+
+describe('getSlotNodes', () => {
+    it('splits content into the default & named slots', () => {
+        document.body.innerHTML = `<div>
+            <p>Intro</p>
+            <script type="application/json" data-props>{}</script>
+            <template data-slot="finished"><p>Done</p></template>
+        </div>`;
+        const slots = getSlotNodes(document.body.firstChild);
+
+        expect(Object.keys(slots)).toEqual(['finished', 'default']);
+        expect(slots.default.filter((node) => node.nodeType === Node.ELEMENT_NODE)).toHaveLength(1);
+        expect(slots.finished[0].outerHTML).toBe('<p>Done</p>');
+    });
+
+    it('leaves out whitespace-only slots', () => {
+        document.body.innerHTML = '<div>\n    </div>';
+
+        expect(getSlotNodes(document.body.firstChild)).toEqual({});
+    });
+});
+
+describe('getElementPath', () => {
+    it('describes the element up to the closest id', () => {
+        document.body.innerHTML = '<main id="content"><div class="a b"><span></span></div></main>';
+
+        expect(getElementPath(document.querySelector('span'))).toBe(
+            'main#content > div.a.b > span'
+        );
+    });
+});
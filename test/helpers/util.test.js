@@ -0,0 +1,208 @@
+import {
+    convertString,
+    getNextMilestone,
+    getNextOccurrence,
+    isChunkLoadError,
+    loadDynamicImport,
+    loadResource,
+    parseISODate
+} from '../../src/js/helpers/util.js';
+import { flushPromises } from '../utils.js';
+
+describe('parseISODate', () => {
+    it('parses complete dates with a timezone', () => {
+        expect(parseISODate('2026-11-27T00:00:00+01:00').toISOString()).toBe(
+            '2026-11-26T23:00:00.000Z'
+        );
+    });
+
+    it('completes partial dates as UTC', () => {
+        expect(parseISODate('2026-11-27').toISOString()).toBe('2026-11-27T00:00:00.000Z');
+        expect(parseISODate('2026-11-27T18:30').toISOString()).toBe('2026-11-27T18:30:00.000Z');
+    });
+
+    it('returns null for invalid dates', () => {
+        expect(parseISODate('2026-13-01')).toBeNull();
+        expect(parseISODate('tomorrow')).toBeNull();
+        expect(parseISODate('')).toBeNull();
+    });
+});
+
+describe('convertString', () => {
+    it('returns the first type that matches', () => {
+        expect(convertString('42', [Number, String])).toBe(42);
+        expect(convertString('abc', [Number, String])).toBe('abc');
+        expect(convertString('[1,2]', [Object, Array])).toEqual([1, 2]);
+    });
+
+    it('treats an empty string as true for booleans', () => {
+        expect(convertString('', [Boolean])).toBe(true);
+        expect(convertString('true', [Boolean])).toBe(true);
+        expect(convertString('false', [Boolean])).toBe(false);
+        expect(convertString('', [String, Boolean])).toBe('');
+    });
+
+    it('parses dates', () => {
+        expect(convertString('2026-11-27', [Date])).toEqual(new Date('2026-11-27T00:00:00Z'));
+    });
+
+    it('returns undefined when no type matches', () => {
+        expect(convertString('', [Number])).toBeUndefined();
+        expect(convertString('{"a":', [Object])).toBeUndefined();
+        expect(convertString('[1]', [Object])).toBeUndefined();
+        expect(convertString('yes', [Boolean])).toBeUndefined();
+        expect(convertString('abc', [])).toBeUndefined();
+    });
+});
+
+describe('getNextOccurrence', () => {
+    it('finds the next weekday at the given time in the timezone', () => {
+        const rule = { every: 'friday', time: '18:00', timeZone: 'Europe/Brussels' };
+
+        // Thursday 2026-11-26
+        expect(getNextOccurrence(rule, new Date('2026-11-26T12:00:00Z')).toISOString()).toBe(
+            '2026-11-27T17:00:00.000Z'
+        );
+        // Friday, after 18:00 in Brussels
+        expect(getNextOccurrence(rule, new Date('2026-11-27T17:30:00Z')).toISOString()).toBe(
+            '2026-12-04T17:00:00.000Z'
+        );
+    });
+});
+
+describe('getNextMilestone', () => {
+    it('returns the first upcoming milestone of a list', () => {
+        const schedule = [
+            '2026-11-20T00:00:00Z',
+            { date: '2026-11-27T00:00:00Z', label: 'Black Friday' }
+        ];
+        const milestone = getNextMilestone(schedule, new Date('2026-11-21T00:00:00Z'));
+
+        expect(milestone.label).toBe('Black Friday');
+        expect(milestone.date.toISOString()).toBe('2026-11-27T00:00:00.000Z');
+        expect(getNextMilestone(schedule, new Date('2026-12-01T00:00:00Z'))).toBeNull();
+    });
+});
+
+describe('loadDynamicImport', () => {
+    it('resolves default exports & passes them to the callback', async () => {
+        const result = await loadDynamicImport(
+            () => Promise.resolve({ default: 'component' }),
+            (component) => `${component}!`
+        );
+
+        expect(result).toBe('component!');
+    });
+
+    it('retries a failed chunk once', async () => {
+        const error = new Error('Loading chunk 42 failed.');
+        error.name = 'ChunkLoadError';
+        const initiator = jest
+            .fn()
+            .mockRejectedValueOnce(error)
+            .mockResolvedValueOnce({ default: 'component' });
+
+        expect(isChunkLoadError(error)).toBe(true);
+        await expect(loadDynamicImport(initiator)).resolves.toBe('component');
+        expect(initiator).toHaveBeenCalledTimes(2);
+    });
+
+    it('passes errors to the error handler', async () => {
+        const error = new Error('Loading chunk 42 failed.');
+        const initiator = jest.fn().mockRejectedValue(error);
+        const onError = jest.fn();
+
+        await expect(loadDynamicImport(initiator, null, onError)).resolves.toBeUndefined();
+        expect(initiator).toHaveBeenCalledTimes(2);
+        expect(onError).toHaveBeenCalledWith(error);
+    });
+
+    it("doesn't retry other errors", async () => {
+        const initiator = jest.fn().mockRejectedValue(new TypeError('broken'));
+
+        await loadDynamicImport(initiator, null, () => {});
+        expect(initiator).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('loadResource', () => {
+    const getElement = (url) =>
+        document.head.querySelector(`script[src="${url}"], link[href="${url}"]`);
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        document.head.innerHTML = '<meta name="csp-nonce" content="abc123">';
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('resolves once the file has loaded & loads every URL once', async () => {
+        const url = 'https://cdn.example.com/lib.css';
+        const promise = loadResource(url, { integrity: 'sha384-hash' });
+        const $link = getElement(url);
+
+        expect(loadResource(url)).toBe(promise);
+        expect($link.rel).toBe('stylesheet');
+        expect($link.integrity).toBe('sha384-hash');
+        expect($link.crossOrigin).toBe('anonymous');
+        expect($link.nonce).toBe('abc123');
+
+        $link.dispatchEvent(new Event('load'));
+
+        await expect(promise).resolves.toBe($link);
+    });
+
+    it('retries failures & forgets them, so a later call tries again', async () => {
+        const url = 'https://cdn.example.com/broken.js';
+        const promise = loadResource(url, { retries: 1 });
+
+        getElement(url).dispatchEvent(new Event('error'));
+        await flushPromises();
+        getElement(url).dispatchEvent(new Event('error'));
+
+        await expect(promise).rejects.toThrow(`Failed to load ${url}`);
+        expect(getElement(url)).toBeNull();
+
+        loadResource(url).catch(() => {});
+        expect(getElement(url)).not.toBeNull();
+    });
+
+    it('rejects after the timeout', async () => {
+        const url = 'https://cdn.example.com/slow.js';
+        const promise = loadResource(url, { timeout: 500 });
+
+        expect(getElement(url).async).toBe(true);
+        jest.advanceTimersByTime(500);
+
+        await expect(promise).rejects.toThrow(`Timed out loading ${url}`);
+    });
+
+    it('never inserts a script again after a timeout, as it still runs once loaded', async () => {
+        const url = 'https://cdn.example.com/late.js';
+        const promise = loadResource(url, { timeout: 500, retries: 2 });
+        const $script = getElement(url);
+
+        jest.advanceTimersByTime(500);
+        await expect(promise).rejects.toThrow(`Timed out loading ${url}`);
+
+        const retry = loadResource(url);
+        expect(document.head.querySelectorAll('script')).toHaveLength(1);
+
+        $script.dispatchEvent(new Event('load'));
+        await expect(retry).resolves.toBe($script);
+    });
+
+    it('retries stylesheets that time out', async () => {
+        const url = 'https://cdn.example.com/slow.css';
+        const promise = loadResource(url, { timeout: 500, retries: 1 });
+
+        jest.advanceTimersByTime(500);
+        await flushPromises();
+        expect(document.head.querySelectorAll('link')).toHaveLength(1);
+
+        getElement(url).dispatchEvent(new Event('load'));
+        await expect(promise).resolves.toBe(getElement(url));
+    });
+});
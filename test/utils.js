@@ -0,0 +1,30 @@
+import MockAdapter from 'axios-mock-adapter';
+
+import Analytics, { noopAdapter } from '../src/js/common/Analytics.js';
+import ApiClient from '../src/js/common/ApiClient.js';
+
+/**
+ * Creates the parts of App that Vue components use through this.$app,
+ * with a mocked API & analytics that don't leave the test
+ * @returns {Object} $app mock & the axios mock adapter of its API
+ */
+export function createAppMock() {
+    const api = new ApiClient({ baseURL: '' });
+    const apiMock = new MockAdapter(api.http);
+    const $app = {
+        api,
+        analytics: new Analytics({ adapter: noopAdapter, consent: true }),
+        emit: jest.fn(),
+        on: jest.fn(() => () => {})
+    };
+
+    return { $app, apiMock };
+}
+
+/**
+ * Resolves pending promises (e.g. mocked requests) & Vue updates
+ * @returns {Promise} Flush Promise
+ */
+export function flushPromises() {
+    return new Promise((resolve) => jest.requireActual('timers').setImmediate(resolve));
+}
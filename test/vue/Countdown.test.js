@@ -0,0 +1,117 @@
+import { mount } from '@vue/test-utils';
+
+import Countdown from '../../src/vue/Countdown/Countdown.vue';
+import { EVENTS } from '../../src/js/common/EventBus.js';
+import { createAppMock } from '../utils.js';
+
+describe('Countdown', () => {
+    let $app;
+    let wrapper;
+
+    const mountCountdown = (propsData) =>
+        mount(Countdown, {
+            propsData: { locale: 'en', ...propsData },
+            mocks: { $app }
+        });
+
+    const getValues = () => wrapper.findAll('.counter-item-nr').wrappers.map((item) => item.text());
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-11-26T23:59:55.500Z'));
+        ({ $app } = createAppMock());
+    });
+
+    afterEach(() => {
+        wrapper.destroy();
+        jest.useRealTimers();
+    });
+
+    it('shows the remaining time', () => {
+        wrapper = mountCountdown({ endDate: new Date('2026-11-28T01:00:00Z') });
+
+        expect(getValues()).toEqual(['01', '01', '00', '04']);
+        expect(wrapper.find('.counter-item.days .counter-item-unit').text()).toBe('day');
+    });
+
+    it('ticks every second', async () => {
+        wrapper = mountCountdown({ endDate: new Date('2026-11-27T00:00:00Z') });
+        expect(getValues()).toEqual(['00', '00', '00', '04']);
+
+        // Ticks are aligned to the second boundaries of the clock
+        jest.advanceTimersByTime(500);
+        await wrapper.vm.$nextTick();
+        expect(getValues()).toEqual(['00', '00', '00', '04']);
+
+        jest.advanceTimersByTime(1000);
+        await wrapper.vm.$nextTick();
+        expect(getValues()).toEqual(['00', '00', '00', '03']);
+    });
+
+    it('stops at the end date & emits finished', async () => {
+        wrapper = mountCountdown({ endDate: new Date('2026-11-27T00:00:00Z') });
+
+        jest.advanceTimersByTime(5000);
+        await wrapper.vm.$nextTick();
+
+        expect(wrapper.classes()).toContain('countdown--finished');
+        expect(wrapper.find('.counter-wrapper').exists()).toBe(false);
+        expect(wrapper.emitted('finished')).toHaveLength(1);
+        expect($app.emit).toHaveBeenCalledWith(EVENTS.countdownFinished, {
+            endDate: new Date('2026-11-27T00:00:00Z')
+        });
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('hides units that are left out', () => {
+        wrapper = mountCountdown({
+            endDate: new Date('2026-11-28T01:00:00Z'),
+            units: ['hours', 'minutes']
+        });
+
+        // The largest visible unit absorbs the days
+        expect(getValues()).toEqual(['25', '00']);
+    });
+
+    it('rolls over to the next milestone of a schedule', async () => {
+        wrapper = mountCountdown({
+            schedule: [
+                { date: '2026-11-27T00:00:00Z', label: 'Pre-sale' },
+                { date: '2026-11-27T00:00:10Z', label: 'Sale' }
+            ]
+        });
+        expect(wrapper.find('.counter-label').text()).toBe('Pre-sale');
+
+        jest.advanceTimersByTime(5000);
+        await wrapper.vm.$nextTick();
+
+        expect(wrapper.find('.counter-label').text()).toBe('Sale');
+        expect(wrapper.emitted('milestone')).toHaveLength(1);
+
+        jest.advanceTimersByTime(10000);
+        await wrapper.vm.$nextTick();
+
+        expect($app.emit).toHaveBeenCalledWith(EVENTS.countdownFinished, {
+            endDate: new Date('2026-11-27T00:00:10Z')
+        });
+    });
+
+    it('accepts locales with underscores & falls back to English for invalid ones', () => {
+        wrapper = mountCountdown({ endDate: new Date('2026-11-28T01:00:00Z'), locale: 'nl_BE' });
+        expect(wrapper.find('.counter-item.days .counter-item-unit').text()).toBe('dag');
+        wrapper.destroy();
+
+        wrapper = mountCountdown({ endDate: new Date('2026-11-28T01:00:00Z'), locale: '!!' });
+        expect(wrapper.find('.counter-item.days .counter-item-unit').text()).toBe('day');
+    });
+
+    it('announces the smallest visible unit when less than that remains', async () => {
+        wrapper = mountCountdown({
+            endDate: new Date('2026-11-27T00:30:00Z'),
+            units: ['days', 'hours']
+        });
+        await wrapper.vm.$nextTick();
+
+        expect(wrapper.find('.counter-announcement').text()).toBe('0 hours remaining');
+    });
+});
@@ -0,0 +1,168 @@
+import { mount } from '@vue/test-utils';
+
+import Newsletter from '../../src/vue/Newsletter/Newsletter.vue';
+import { EVENTS } from '../../src/js/common/EventBus.js';
+import { createAppMock, flushPromises } from '../utils.js';
+
+const ENDPOINT = '/api/newsletter-subscribe/';
+
+describe('Newsletter', () => {
+    let $app;
+    let apiMock;
+    let wrapper;
+
+    const mountNewsletter = (propsData = {}) =>
+        mount(Newsletter, {
+            propsData,
+            mocks: { $app }
+        });
+
+    const subscribe = async (email) => {
+        await wrapper.find('input[type="email"]').setValue(email);
+        await wrapper.find('form').trigger('submit');
+        await flushPromises();
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        window.localStorage.clear();
+        ({ $app, apiMock } = createAppMock());
+    });
+
+    afterEach(() => {
+        wrapper.destroy();
+        jest.useRealTimers();
+    });
+
+    it('validates the email address before submitting', async () => {
+        wrapper = mountNewsletter();
+        await subscribe('not-an-email');
+
+        expect(apiMock.history.post).toHaveLength(0);
+        expect(wrapper.classes()).toContain('newsletter--validating');
+        expect(wrapper.find('.newsletter__error').text()).toBe(
+            'Please enter a valid email address.'
+        );
+
+        // Back to idle once corrected
+        await wrapper.find('input[type="email"]').setValue('jane@example.com');
+        expect(wrapper.classes()).toContain('newsletter--idle');
+        expect(wrapper.find('.newsletter__error').exists()).toBe(false);
+    });
+
+    it('subscribes', async () => {
+        apiMock.onPost(ENDPOINT).reply(200, {});
+        wrapper = mountNewsletter();
+        await subscribe('jane@example.com');
+
+        expect(apiMock.history.post[0].params).toEqual({ email: 'jane@example.com' });
+        expect(wrapper.classes()).toContain('newsletter--success');
+        expect(wrapper.find('.newsletter__confirmation').text()).toBe(
+            "You've been subscribed to our newsletter!"
+        );
+        expect($app.emit).toHaveBeenCalledWith(EVENTS.newsletterSubscribed, {
+            status: 'success'
+        });
+    });
+
+    it('sends JSON payloads', async () => {
+        apiMock.onPost(ENDPOINT).reply(200, {});
+        wrapper = mountNewsletter({ payloadFormat: 'json', params: { source: 'test' } });
+        await subscribe('jane@example.com');
+
+        expect(JSON.parse(apiMock.history.post[0].data)).toEqual({
+            source: 'test',
+            email: 'jane@example.com'
+        });
+    });
+
+    it('shows the pending state for double opt-in', async () => {
+        apiMock.onPost(ENDPOINT).reply(202, {});
+        wrapper = mountNewsletter();
+        await subscribe('jane@example.com');
+
+        expect(wrapper.classes()).toContain('newsletter--pending');
+        expect(wrapper.find('.newsletter__resend').attributes('disabled')).toBe('disabled');
+    });
+
+    it('shows field errors of validation responses', async () => {
+        apiMock.onPost(ENDPOINT).reply(422, {
+            message: 'Already subscribed.',
+            errors: { email: ['This email address is already subscribed.'] }
+        });
+        wrapper = mountNewsletter();
+        await subscribe('jane@example.com');
+
+        expect(wrapper.classes()).toContain('newsletter--error');
+        expect(wrapper.find('.newsletter__error').text()).toBe(
+            'This email address is already subscribed.'
+        );
+        expect(wrapper.find('.newsletter__message').text()).toBe('Already subscribed.');
+
+        await wrapper.find('input[type="email"]').setValue('john@example.com');
+        expect(wrapper.classes()).toContain('newsletter--idle');
+        expect(wrapper.find('.newsletter__message').exists()).toBe(false);
+    });
+
+    it('shows a message for other client errors', async () => {
+        apiMock.onPost(ENDPOINT).reply(400, {});
+        wrapper = mountNewsletter();
+        await subscribe('jane@example.com');
+
+        expect(wrapper.find('.newsletter__message').text()).toBe(
+            'Something went wrong, please try again later.'
+        );
+        expect($app.emit).toHaveBeenCalledWith(EVENTS.newsletterFailed, {
+            type: 'client',
+            status: 400
+        });
+    });
+
+    it('queues submissions on server errors & retries them', async () => {
+        apiMock.onPost(ENDPOINT).replyOnce(500, {}).onPost(ENDPOINT).replyOnce(200, {});
+        wrapper = mountNewsletter();
+        await subscribe('jane@example.com');
+
+        expect(wrapper.classes()).toContain('newsletter--queued');
+        expect(JSON.parse(window.localStorage.getItem('newsletter-queue'))).toHaveLength(1);
+
+        // First retry after the backoff delay
+        jest.advanceTimersByTime(5000);
+        await flushPromises();
+
+        expect(apiMock.history.post).toHaveLength(2);
+        expect(wrapper.classes()).toContain('newsletter--success');
+        expect(window.localStorage.getItem('newsletter-queue')).toBeNull();
+    });
+
+    it('shows the error of queued submissions that are given up on', async () => {
+        apiMock
+            .onPost(ENDPOINT)
+            .replyOnce(500, {})
+            .onPost(ENDPOINT)
+            .replyOnce(422, { errors: { email: ['This email address is blocked.'] } });
+        wrapper = mountNewsletter();
+        await subscribe('jane@example.com');
+
+        jest.advanceTimersByTime(5000);
+        await flushPromises();
+
+        expect(window.localStorage.getItem('newsletter-queue')).toBeNull();
+        expect(wrapper.classes()).toContain('newsletter--error');
+        expect(wrapper.find('.newsletter__error').text()).toBe('This email address is blocked.');
+        expect($app.emit).toHaveBeenCalledWith(EVENTS.newsletterFailed, {
+            type: 'validation',
+            status: 422
+        });
+    });
+
+    it('queues submissions while offline', async () => {
+        apiMock.onPost(ENDPOINT).networkErrorOnce();
+        wrapper = mountNewsletter();
+        await subscribe('jane@example.com');
+
+        expect(wrapper.find('.newsletter__confirmation').text()).toBe(
+            "You seem to be offline. We'll finish signing you up when you're back online."
+        );
+    });
+});
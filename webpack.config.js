@@ -1,58 +1,103 @@
+const fs = require('fs');
 const path = require('path');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
+const CssMinimizerPlugin = require('css-minimizer-webpack-plugin');
+const WebpackAssetsManifest = require('webpack-assets-manifest');
 const { VueLoaderPlugin } = require('vue-loader');
+const setupMockApi = require('./mock/index.js');
 
-module.exports = {
-    mode: 'development',
-    entry: {
-        index: './src/js/index.js'
-    },
-    devtool: 'inline-source-map',
-    devServer: {
-        static: './dist'
-    },
-    plugins: [
-        new HtmlWebpackPlugin({
-            title: 'Job Interview Template | Front-end / Vue.js',
-            template: './src/index.html'
-        }),
-        new VueLoaderPlugin()
-    ],
-    module: {
-        rules: [
-            {
-                test: /\.vue$/,
-                loader: 'vue-loader'
-            },
-            {
-                test: /\.m?js$/,
-                exclude: /(node_modules|bower_components)/,
-                use: {
-                    loader: 'babel-loader'
+// Every folder in src/pages is a page with an index.js entry & an index.html template
+const pages = fs
+    .readdirSync(path.resolve(__dirname, 'src/pages'), { withFileTypes: true })
+    .filter((dirent) => dirent.isDirectory())
+    .map((dirent) => dirent.name);
+
+// Production builds (webpack --mode production) get hashed filenames, extracted CSS
+// & external source maps. Server-rendered pages look up the files in dist/assets-manifest.json.
+module.exports = (env, argv) => {
+    const isProduction = argv.mode === 'production';
+    const filename = isProduction ? '[name].[contenthash:8]' : '[name].bundle';
+
+    return {
+        mode: isProduction ? 'production' : 'development',
+        entry: Object.fromEntries(pages.map((page) => [page, `./src/pages/${page}/index.js`])),
+        devtool: isProduction ? 'source-map' : 'inline-source-map',
+        devServer: {
+            static: './dist',
+            // Mock API, see mock/routes.js
+            setupMiddlewares: (middlewares, devServer) => {
+                setupMockApi(devServer.app, { latency: [200, 600], errorRate: 0 });
+
+                return middlewares;
+            }
+        },
+        plugins: [
+            ...pages.map(
+                (page) =>
+                    new HtmlWebpackPlugin({
+                        title: 'Job Interview Template | Front-end / Vue.js',
+                        template: `./src/pages/${page}/index.html`,
+                        filename: `${page}.html`,
+                        chunks: [page]
+                    })
+            ),
+            new VueLoaderPlugin(),
+            ...(isProduction ? [new MiniCssExtractPlugin({ filename: `${filename}.css` })] : []),
+            // Maps entry & chunk names to their (hashed) files, paths are relative to the publicPath
+            new WebpackAssetsManifest({
+                output: 'assets-manifest.json',
+                entrypoints: true,
+                // Source maps & license files aren't referenced by the pages
+                customize: (entry) => !/\.(map|LICENSE\.txt)$/.test(entry.key) && entry
+            })
+        ],
+        module: {
+            rules: [
+                {
+                    test: /\.vue$/,
+                    loader: 'vue-loader'
+                },
+                {
+                    test: /\.m?js$/,
+                    exclude: /(node_modules|bower_components)/,
+                    use: {
+                        loader: 'babel-loader'
+                    }
+                },
+                {
+                    test: /\.s[ac]ss$/i,
+                    use: [
+                        isProduction ? MiniCssExtractPlugin.loader : 'style-loader',
+                        'css-loader',
+                        'postcss-loader',
+                        'sass-loader'
+                    ]
+                },
+                {
+                    test: /\.(png|svg|jpg|jpeg|gif)$/i,
+                    type: 'asset/resource'
+                },
+                {
+                    test: /\.html$/,
+                    loader: 'html-loader'
                 }
+            ]
+        },
+        output: {
+            filename: `${filename}.js`,
+            assetModuleFilename: isProduction
+                ? '[name].[contenthash:8][ext]'
+                : '[hash][ext][query]',
+            path: path.resolve(__dirname, 'dist'),
+            clean: true
+        },
+        optimization: {
+            splitChunks: {
+                chunks: 'all'
             },
-            {
-                test: /\.s[ac]ss$/i,
-                use: ['style-loader', 'css-loader', 'postcss-loader', 'sass-loader']
-            },
-            {
-                test: /\.(png|svg|jpg|jpeg|gif)$/i,
-                type: 'asset/resource'
-            },
-            {
-                test: /\.html$/,
-                loader: 'html-loader'
-            }
-        ]
-    },
-    output: {
-        filename: '[name].bundle.js',
-        path: path.resolve(__dirname, 'dist'),
-        clean: true
-    },
-    optimization: {
-        splitChunks: {
-            chunks: 'all'
+            // '...' keeps the default JS minimizer
+            minimizer: ['...', new CssMinimizerPlugin()]
         }
-    }
+    };
 };